@@ -1,5 +1,335 @@
 import {DateTime} from "luxon";
 
+// region Messages
+/**
+ * Built-in message catalogs. A message is either a string with `{placeholder}` parts or an object of plural forms
+ * (`one`, `few`, `many`, `other`...) whose `plural` key names the parameter used to select the form.
+ * The `examples` section translates the values of the `{example}` placeholder.
+ */
+const messages_ru = {
+  'required': 'Обязательное поле',
+  'min_length': {
+    'plural': 'min_length',
+    'one': 'Минимум {min_length} символ',
+    'few': 'Минимум {min_length} символа',
+    'many': 'Минимум {min_length} символов',
+    'other': 'Минимум {min_length} символа',
+  },
+  'max_length': {
+    'plural': 'max_length',
+    'one': 'Максимум {max_length} символ',
+    'few': 'Максимум {max_length} символа',
+    'many': 'Максимум {max_length} символов',
+    'other': 'Максимум {max_length} символа',
+  },
+  'example': 'Пример: {example}',
+  'min': 'Минимум: {min}',
+  'max': 'Максимум: {max}',
+  'min_exclusive': 'Значение должно быть больше {min}',
+  'max_exclusive': 'Значение должно быть меньше {max}',
+  'step': 'Значение должно быть кратно {step}',
+  'not_finite': 'Введите конечное число',
+  'max_whole_digits': 'Максимальное количество знаков перед запятой {max_whole_digits}',
+  'max_digits': 'Максимальное количество знаков {max_digits}',
+  'empty_decimal_places': 'После запятой должен быть минимум 1 знак',
+  'max_decimal_places': 'Максимальное количество знаков после запятой {decimal_places}',
+  'select_required': 'Необходимо выбрать значение',
+  'min_date': 'Не ранее {min}',
+  'max_date': 'Не позднее {max}',
+  'range_incomplete': 'Укажите начало и конец периода',
+  'range_order': 'Начало периода должно быть не позже конца',
+  'range_max_span': {
+    'plural': 'max_span',
+    'one': 'Период не должен превышать {max_span} день',
+    'few': 'Период не должен превышать {max_span} дня',
+    'many': 'Период не должен превышать {max_span} дней',
+    'other': 'Период не должен превышать {max_span} дня',
+  },
+  'phone_invalid': 'Неверный номер телефона',
+  'phone_unknown_country': 'Неизвестный код страны',
+  'phone_country_not_allowed': 'Номера этой страны не поддерживаются',
+  'one_of': 'Недопустимое значение',
+  'checksum': 'Неверное контрольное число',
+  'inn_length': 'ИНН должен содержать 10 или 12 цифр',
+  'inn_legal_length': 'ИНН организации должен содержать 10 цифр',
+  'inn_individual_length': 'ИНН физического лица должен содержать 12 цифр',
+  'kpp_format': 'КПП должен содержать 9 символов: 4 цифры, 2 цифры или заглавные буквы, 3 цифры',
+  'ogrn_length': 'ОГРН должен содержать 13 цифр, ОГРНИП - 15 цифр',
+  'ogrn_legal_length': 'ОГРН должен содержать 13 цифр',
+  'ogrn_individual_length': 'ОГРНИП должен содержать 15 цифр',
+  'snils_length': 'СНИЛС должен содержать 11 цифр',
+  'bik_format': 'БИК должен содержать 9 цифр и начинаться с 04',
+  'account_length': 'Номер счёта должен содержать 20 цифр',
+  'account_bik': 'Номер счёта не соответствует БИК',
+  'correspondent_account_prefix': 'Корреспондентский счёт должен начинаться с 301',
+  'card_invalid': 'Неверный номер карты',
+  'card_length': 'Неверная длина номера карты',
+  'card_brand_unknown': 'Неизвестная платёжная система',
+  'card_brand_not_allowed': 'Карты {brand} не принимаются',
+  'card_expired': 'Срок действия карты истёк',
+  'cvc_length': {
+    'plural': 'length',
+    'one': 'Код должен содержать {length} цифру',
+    'few': 'Код должен содержать {length} цифры',
+    'many': 'Код должен содержать {length} цифр',
+    'other': 'Код должен содержать {length} цифры',
+  },
+  'iban_format': 'IBAN должен начинаться с кода страны и двух контрольных цифр',
+  'iban_country_not_allowed': 'IBAN страны {country} не принимается',
+  'iban_length': {
+    'plural': 'length',
+    'one': 'IBAN страны {country} должен содержать {length} символ',
+    'few': 'IBAN страны {country} должен содержать {length} символа',
+    'many': 'IBAN страны {country} должен содержать {length} символов',
+    'other': 'IBAN страны {country} должен содержать {length} символа',
+  },
+  'currency_required': 'Укажите валюту',
+  'currency_invalid': 'Неизвестная валюта {currency}',
+  'currency_not_allowed': 'Валюта {currency} не принимается',
+  'ip_private': 'Адреса частных сетей не допускаются',
+  'ip_loopback': 'Адреса обратной петли не допускаются',
+  'ip_reserved': 'Зарезервированные адреса не допускаются',
+  'cidr_prefix': 'Длина префикса должна быть от {min_prefix} до {max_prefix}',
+  'cidr_host_bits': 'Адрес не должен содержать биты узла, адрес сети: {network}',
+  'port': 'Порт должен быть числом от 1 до 65535',
+  'port_required': 'Укажите порт',
+  'not_one_of': 'Это значение недоступно',
+  'invalid': 'Некорректное значение',
+  'pattern': 'Значение не соответствует формату',
+  'between': 'Значение должно быть от {min} до {max}',
+  'password_common': 'Этот пароль слишком распространён',
+  'password_lower': 'Пароль должен содержать строчную букву',
+  'password_upper': 'Пароль должен содержать заглавную букву',
+  'password_digit': 'Пароль должен содержать цифру',
+  'password_symbol': 'Пароль должен содержать специальный символ',
+  'password_min_classes': {
+    'plural': 'min_classes',
+    'one': 'Используйте символы хотя бы {min_classes} типа: строчные и заглавные буквы, цифры, специальные символы',
+    'few': 'Используйте символы хотя бы {min_classes} типов: строчные и заглавные буквы, цифры, специальные символы',
+    'many': 'Используйте символы хотя бы {min_classes} типов: строчные и заглавные буквы, цифры, специальные символы',
+    'other': 'Используйте символы хотя бы {min_classes} типа: строчные и заглавные буквы, цифры, специальные символы',
+  },
+  'password_repeats': 'Пароль не должен содержать повторы вроде {repeat}',
+  'password_sequence': 'Пароль не должен содержать последовательности вроде {sequence}',
+  'password_similar': 'Пароль не должен содержать данные других полей',
+  'password_mismatch': 'Пароли не совпадают',
+  'password_strength_0': 'Очень слабый',
+  'password_strength_1': 'Слабый',
+  'password_strength_2': 'Средний',
+  'password_strength_3': 'Хороший',
+  'password_strength_4': 'Надёжный',
+  'file_invalid': 'Выберите файл',
+  'file_max_size': 'Размер файла {name} не должен превышать {max_size}',
+  'file_max_total_size': 'Общий размер файлов не должен превышать {max_total_size}',
+  'file_type': 'Недопустимый тип файла {name}, допустимые: {accept}',
+  'min_files': {
+    'plural': 'min_files',
+    'one': 'Выберите не менее {min_files} файла',
+    'few': 'Выберите не менее {min_files} файлов',
+    'many': 'Выберите не менее {min_files} файлов',
+    'other': 'Выберите не менее {min_files} файла',
+  },
+  'max_files': {
+    'plural': 'max_files',
+    'one': 'Выберите не более {max_files} файла',
+    'few': 'Выберите не более {max_files} файлов',
+    'many': 'Выберите не более {max_files} файлов',
+    'other': 'Выберите не более {max_files} файла',
+  },
+  'image_min_width': 'Ширина изображения {name} должна быть не менее {min_width} пикселей',
+  'image_max_width': 'Ширина изображения {name} должна быть не более {max_width} пикселей',
+  'image_min_height': 'Высота изображения {name} должна быть не менее {min_height} пикселей',
+  'image_max_height': 'Высота изображения {name} должна быть не более {max_height} пикселей',
+  'duplicates': 'Значения не должны повторяться',
+  'min_items': {
+    'plural': 'min_items',
+    'one': 'Добавьте не менее {min_items} строки',
+    'few': 'Добавьте не менее {min_items} строк',
+    'many': 'Добавьте не менее {min_items} строк',
+    'other': 'Добавьте не менее {min_items} строки',
+  },
+  'max_items': {
+    'plural': 'max_items',
+    'one': 'Допустимо не более {max_items} строки',
+    'few': 'Допустимо не более {max_items} строк',
+    'many': 'Допустимо не более {max_items} строк',
+    'other': 'Допустимо не более {max_items} строки',
+  },
+  'min_selected': {
+    'plural': 'min_selected',
+    'one': 'Выберите не менее {min_selected} значения',
+    'few': 'Выберите не менее {min_selected} значений',
+    'many': 'Выберите не менее {min_selected} значений',
+    'other': 'Выберите не менее {min_selected} значения',
+  },
+  'max_selected': {
+    'plural': 'max_selected',
+    'one': 'Выберите не более {max_selected} значения',
+    'few': 'Выберите не более {max_selected} значений',
+    'many': 'Выберите не более {max_selected} значений',
+    'other': 'Выберите не более {max_selected} значения',
+  },
+  'equal_to': 'Значения не совпадают',
+  'greater_than_field': 'Значение должно быть больше',
+  'greater_or_equal_field': 'Значение должно быть не меньше',
+  'examples': {
+    'integer': 'целое число',
+    'decimal': '1,00 или 1',
+    'text': 'символы алфавита, цифры и специальные символы',
+    'letters': 'символы алфавита',
+    'login': 'любые буквы (то, что может быть частью слова), а также цифры и _',
+  },
+}
+
+const messages_en = {
+  'required': 'This field is required',
+  'min_length': {
+    'plural': 'min_length',
+    'one': 'Minimum {min_length} character',
+    'other': 'Minimum {min_length} characters',
+  },
+  'max_length': {
+    'plural': 'max_length',
+    'one': 'Maximum {max_length} character',
+    'other': 'Maximum {max_length} characters',
+  },
+  'example': 'Example: {example}',
+  'min': 'Minimum: {min}',
+  'max': 'Maximum: {max}',
+  'min_exclusive': 'Value must be greater than {min}',
+  'max_exclusive': 'Value must be less than {max}',
+  'step': 'Value must be a multiple of {step}',
+  'not_finite': 'Enter a finite number',
+  'max_whole_digits': 'Maximum number of digits before the decimal point is {max_whole_digits}',
+  'max_digits': 'Maximum number of digits is {max_digits}',
+  'empty_decimal_places': 'At least 1 digit is required after the decimal point',
+  'max_decimal_places': 'Maximum number of digits after the decimal point is {decimal_places}',
+  'select_required': 'Please select a value',
+  'min_date': 'Not earlier than {min}',
+  'max_date': 'Not later than {max}',
+  'range_incomplete': 'Specify the start and the end of the period',
+  'range_order': 'The start of the period must not be later than the end',
+  'range_max_span': {
+    'plural': 'max_span',
+    'one': 'The period must not exceed {max_span} day',
+    'other': 'The period must not exceed {max_span} days',
+  },
+  'phone_invalid': 'Invalid phone number',
+  'phone_unknown_country': 'Unknown country code',
+  'phone_country_not_allowed': 'Phone numbers of this country are not supported',
+  'one_of': 'Invalid value',
+  'checksum': 'Invalid check digit',
+  'inn_length': 'INN must contain 10 or 12 digits',
+  'inn_legal_length': 'INN of an organization must contain 10 digits',
+  'inn_individual_length': 'INN of a person must contain 12 digits',
+  'kpp_format': 'KPP must contain 9 characters: 4 digits, 2 digits or capital letters, 3 digits',
+  'ogrn_length': 'OGRN must contain 13 digits, OGRNIP - 15 digits',
+  'ogrn_legal_length': 'OGRN must contain 13 digits',
+  'ogrn_individual_length': 'OGRNIP must contain 15 digits',
+  'snils_length': 'SNILS must contain 11 digits',
+  'bik_format': 'BIK must contain 9 digits and start with 04',
+  'account_length': 'The account number must contain 20 digits',
+  'account_bik': 'The account number does not match the BIK',
+  'correspondent_account_prefix': 'The correspondent account must start with 301',
+  'card_invalid': 'Invalid card number',
+  'card_length': 'Invalid length of the card number',
+  'card_brand_unknown': 'Unknown card brand',
+  'card_brand_not_allowed': '{brand} cards are not accepted',
+  'card_expired': 'The card has expired',
+  'cvc_length': {
+    'plural': 'length',
+    'one': 'The code must contain {length} digit',
+    'other': 'The code must contain {length} digits',
+  },
+  'iban_format': 'IBAN must start with the country code and two check digits',
+  'iban_country_not_allowed': 'IBAN of the country {country} is not accepted',
+  'iban_length': 'IBAN of the country {country} must contain {length} characters',
+  'currency_required': 'Specify the currency',
+  'currency_invalid': 'Unknown currency {currency}',
+  'currency_not_allowed': 'The currency {currency} is not accepted',
+  'ip_private': 'Private network addresses are not allowed',
+  'ip_loopback': 'Loopback addresses are not allowed',
+  'ip_reserved': 'Reserved addresses are not allowed',
+  'cidr_prefix': 'The prefix length must be from {min_prefix} to {max_prefix}',
+  'cidr_host_bits': 'The address must not have host bits set, the network address is {network}',
+  'port': 'The port must be a number from 1 to 65535',
+  'port_required': 'Specify the port',
+  'not_one_of': 'This value is not available',
+  'invalid': 'Invalid value',
+  'pattern': 'Value does not match the format',
+  'between': 'Value must be between {min} and {max}',
+  'password_common': 'This password is too common',
+  'password_lower': 'The password must contain a lowercase letter',
+  'password_upper': 'The password must contain an uppercase letter',
+  'password_digit': 'The password must contain a digit',
+  'password_symbol': 'The password must contain a special character',
+  'password_min_classes': {
+    'plural': 'min_classes',
+    'one': 'Use at least {min_classes} kind of characters: lowercase and uppercase letters, digits, special characters',
+    'other': 'Use at least {min_classes} kinds of characters: lowercase and uppercase letters, digits, special characters',
+  },
+  'password_repeats': 'The password must not contain repeats like {repeat}',
+  'password_sequence': 'The password must not contain sequences like {sequence}',
+  'password_similar': 'The password must not contain values of other fields',
+  'password_mismatch': 'Passwords do not match',
+  'password_strength_0': 'Very weak',
+  'password_strength_1': 'Weak',
+  'password_strength_2': 'Fair',
+  'password_strength_3': 'Good',
+  'password_strength_4': 'Strong',
+  'file_invalid': 'Select a file',
+  'file_max_size': 'The size of {name} must not exceed {max_size}',
+  'file_max_total_size': 'The total size of the files must not exceed {max_total_size}',
+  'file_type': 'The type of {name} is not allowed, allowed: {accept}',
+  'min_files': {
+    'plural': 'min_files',
+    'one': 'Select at least {min_files} file',
+    'other': 'Select at least {min_files} files',
+  },
+  'max_files': {
+    'plural': 'max_files',
+    'one': 'Select at most {max_files} file',
+    'other': 'Select at most {max_files} files',
+  },
+  'image_min_width': 'The width of {name} must be at least {min_width} px',
+  'image_max_width': 'The width of {name} must be at most {max_width} px',
+  'image_min_height': 'The height of {name} must be at least {min_height} px',
+  'image_max_height': 'The height of {name} must be at most {max_height} px',
+  'duplicates': 'Values must not repeat',
+  'min_items': {
+    'plural': 'min_items',
+    'one': 'Add at least {min_items} row',
+    'other': 'Add at least {min_items} rows',
+  },
+  'max_items': {
+    'plural': 'max_items',
+    'one': 'No more than {max_items} row is allowed',
+    'other': 'No more than {max_items} rows are allowed',
+  },
+  'min_selected': {
+    'plural': 'min_selected',
+    'one': 'Select at least {min_selected} value',
+    'other': 'Select at least {min_selected} values',
+  },
+  'max_selected': {
+    'plural': 'max_selected',
+    'one': 'Select at most {max_selected} value',
+    'other': 'Select at most {max_selected} values',
+  },
+  'equal_to': 'Values do not match',
+  'greater_than_field': 'Value must be greater',
+  'greater_or_equal_field': 'Value must not be less',
+  'examples': {
+    'integer': 'integer',
+    'decimal': '1.00 or 1',
+    'text': 'letters, digits and special characters',
+    'letters': 'letters',
+    'login': 'letters, digits and _',
+  },
+}
+
+// endregion
+
 // region CRFormData
 /**
  * Class for flexible library configuration
@@ -8,14 +338,28 @@ export class CRFormData {
   static default_formats = {
     'format_datetime': 'dd.MM.yyyy HH:mm',
     'format_date': 'dd.MM.yyyy',
-    'mask_datetime': '__.__.____ __:__',
-    'mask_date': '__.__.____',
+    'mask_datetime': '##.##.#### ##:##',
+    'mask_date': '##.##.####',
+    'range_separator': ' – ',
   }
 
   static default_error_class = 'b-danger'
+  static default_error_adapter = null
+  static default_zone = null
+
+  static default_locale = 'ru'
+
+  static default_messages = {
+    'ru': messages_ru,
+    'en': messages_en,
+  }
 
   static formats = CRFormData.default_formats
   static error_class = CRFormData.default_error_class
+  static error_adapter = CRFormData.default_error_adapter
+  static zone = CRFormData.default_zone
+  static locale = CRFormData.default_locale
+  static messages = {...CRFormData.default_messages}
 
   static set_formats(formats) {
     CRFormData.formats = formats
@@ -24,6 +368,86 @@ export class CRFormData {
   static set_error_class(error_class) {
     CRFormData.error_class = error_class
   }
+
+  /**
+   * Sets the zone of DateTimeField and DateField values
+   * @param {string|null} zone - IANA zone ('Europe/Moscow'), 'utc' or null for the zone of the browser
+   */
+  static set_zone(zone) {
+    CRFormData.zone = zone
+  }
+
+  /**
+   * Sets the adapter used by Form.errors to read error payloads of the backend
+   * @param {ErrorAdapter|null} error_adapter - e.g. new DRFErrorAdapter(), null for flat dictionaries
+   */
+  static set_error_adapter(error_adapter) {
+    CRFormData.error_adapter = error_adapter
+  }
+
+  /**
+   * Switches the language of validation messages. Field errors are rendered on read,
+   * so the current errors of all fields are displayed in the new language.
+   * @param {string} locale
+   */
+  static set_locale(locale) {
+    CRFormData.locale = locale
+  }
+
+  /**
+   * Adds a catalog for a new locale or overrides messages of an existing one
+   * @param {string} locale
+   * @param {Object} messages - dictionary with message code as key and message as value
+   */
+  static add_messages(locale, messages) {
+    let current = CRFormData.messages[locale] || {}
+
+    CRFormData.messages[locale] = {
+      ...current,
+      ...messages,
+      'examples': {...current.examples, ...messages.examples},
+    }
+  }
+
+  static _find_message(code, section = null) {
+    for (let locale of [CRFormData.locale, CRFormData.default_locale]) {
+      let catalog = CRFormData.messages[locale] || {}
+      if (section) catalog = catalog[section] || {}
+
+      if (code in catalog) return catalog[code]
+    }
+  }
+
+  /**
+   * Translates an example of correct value if the catalog contains it
+   * @param {string} example
+   * @returns {string}
+   */
+  static example(example) {
+    let message = CRFormData._find_message(example, 'examples')
+    return message === undefined ? example : message
+  }
+
+  /**
+   * Renders message of the current locale with placeholders replaced by params
+   * @param {string} code - message code, returned as is if not found in catalogs
+   * @param {Object} params - values for placeholders
+   * @returns {string}
+   */
+  static message(code, params = {}) {
+    let message = CRFormData._find_message(code)
+    if (message === undefined) return code
+
+    if (typeof message === 'object') {
+      let category = new Intl.PluralRules(CRFormData.locale).select(Number(params[message.plural]))
+      message = message[category] || message.other
+    }
+
+    return message.replace(/{(\w+)}/g, function (placeholder, key) {
+      if (!(key in params)) return placeholder
+      return key === 'example' ? CRFormData.example(params[key]) : `${params[key]}`
+    })
+  }
 }
 
 // endregion
@@ -46,27 +470,245 @@ class FieldError extends CustomError {
 // endregion
 
 
+// region Observable
+/**
+ * Base class for fields and forms that notifies subscribers about their events
+ */
+export class Observable {
+  constructor() {
+    this._listeners = {}
+  }
+
+  /**
+   * Subscribes to the event
+   * @param {string} event - 'change', 'validate' or 'error'
+   * @param {function} callback
+   * @returns {function(): void} - unsubscribe handle
+   */
+  on(event, callback) {
+    this._listeners[event] = [...(this._listeners[event] || []), callback]
+    return () => this.off(event, callback)
+  }
+
+  /**
+   * Unsubscribes from the event
+   * @param {string} event
+   * @param {function} callback
+   */
+  off(event, callback) {
+    this._listeners[event] = (this._listeners[event] || []).filter(c => c !== callback)
+  }
+
+  /**
+   * Calls subscribers of the event with the arguments
+   * @param {string} event
+   * @param args
+   * @protected
+   */
+  _emit(event, ...args) {
+    for (let callback of this._listeners[event] || []) {
+      callback(...args)
+    }
+  }
+}
+
+// endregion
+
+
 // region Form
+/**
+ * Converts a text, an error object or a list of them to the list of structured errors
+ * @returns {Object[]}
+ */
+function make_errors(value, source) {
+  if (Array.isArray(value)) {
+    return value.flatMap(v => make_errors(v, source))
+  }
+
+  if (value === null || value === undefined || value === '') return []
+
+  if (typeof value === 'object') {
+    if (Object.keys(value).length === 0) return []
+
+    return [{
+      code: value.code || source,
+      params: value.params || {},
+      source,
+      message: value.code ? value.message || null : value.message,
+    }]
+  }
+
+  return [{code: source, params: {}, source, message: `${value}`}]
+}
+
+function render_errors(errors) {
+  return errors.map(e => ({...e, message: e.message || CRFormData.message(e.code, e.params)}))
+}
+
+function is_field(value) {
+  return value instanceof FormField || value instanceof ListField || value instanceof NestedFormField
+}
+
+/**
+ * Compares values by content, files are equal only to themselves (JSON turns every file into {})
+ * @returns {boolean}
+ */
+function values_equal(a, b) {
+  if (a === b) return true
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false
+  if (is_blob(a) || is_blob(b)) return false
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, i) => values_equal(value, b[i]))
+  }
+
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
 /**
  * A class that is an impersonation of the client's data entry form. Accepts form fields as dictionary.
  * Both the built-in library fields and any other fields can be used as fields.
  * Validation for fields undefined in the library will not be performed.
+ * Events: change(name, value) after a value of any field is set, validate(name, is_valid) after a field
+ * or the whole form (name is '') is validated, error(name, errors) after errors of a field or non-field errors
+ * (name is '') are changed.
  */
-export class Form {
+export class Form extends Observable {
   constructor(fields) {
+    super()
     this._form_fields_names = []
     this._value_fields_names = []
-    this._changed_fields = []
+    this._initial_values = {}
     this._errors = {}
+    this._non_field_errors = []
+    this._rules = []
 
     for (let k in fields) {
       this[k] = fields[k]
-      if (this[k] instanceof FormField || this[k] instanceof ListField) {
+      if (is_field(this[k])) {
         this._form_fields_names.push(k)
+        this._watch_field(k)
       } else {
         this._value_fields_names.push(k)
       }
     }
+
+    this.snapshot()
+  }
+
+  /**
+   * Re-emits events of the field as events of the form with the name of the field.
+   * Events of nested forms and ListField rows are re-emitted with dotted names ('address.city', 'contacts.2.phone').
+   */
+  _watch_field(k) {
+    let field = this[k]
+
+    for (let event of ['change', 'validate', 'error']) {
+      if (field instanceof FormField) {
+        field.on(event, value => this._emit(event, k, value))
+      } else {
+        field.on(event, (name, value) => this._emit(event, name ? `${k}.${name}` : k, value))
+      }
+    }
+  }
+
+  /**
+   * Subscribes to all events of the form, the callback receives the current state of the form
+   * @param {function({values: Object, errors: Object, non_field_errors: Array, is_dirty: boolean, pending: boolean}): void} callback
+   * @returns {function(): void} - unsubscribe handle
+   */
+  subscribe(callback) {
+    let update = () => callback(this.state)
+    let handles = ['change', 'validate', 'error'].map(event => this.on(event, update))
+
+    return () => handles.forEach(off => off())
+  }
+
+  /**
+   * Returns the current state of the form for subscribers
+   * @returns {Object}
+   */
+  get state() {
+    return {
+      values: this.value_fields,
+      errors: this.errors,
+      non_field_errors: this.non_field_errors,
+      is_dirty: this.is_dirty,
+      pending: this.pending,
+    }
+  }
+
+  _update_non_field_errors(errors) {
+    if (values_equal(errors, this._non_field_errors)) return
+
+    this._non_field_errors = errors
+    this._emit('error', '', this.non_field_errors)
+  }
+
+  /**
+   * Remembers current values of the fields as initial ones, used by is_dirty, changed_values and reset().
+   * Called after construction and after assignment to fields or existing_fields.
+   */
+  snapshot() {
+    for (let k of this._form_fields_names) {
+      this[k].snapshot()
+    }
+
+    this._initial_values = {}
+    for (let k of this._value_fields_names) {
+      this._initial_values[k] = this[k]
+    }
+  }
+
+  /**
+   * Returns values and validation state of the fields to the last snapshot and removes all errors
+   */
+  reset() {
+    for (let k of this._form_fields_names) {
+      this[k].reset()
+    }
+
+    for (let k of this._value_fields_names) {
+      this[k] = this._initial_values[k]
+    }
+
+    this._errors = {}
+    this._update_non_field_errors([])
+  }
+
+  /**
+   * Returns names of fields whose values differ from the last snapshot
+   * @returns {string[]}
+   */
+  get changed_fields() {
+    let changed_fields = this._form_fields_names.filter(k => this[k].is_dirty)
+
+    for (let k of this._value_fields_names) {
+      if (!values_equal(this[k], this._initial_values[k])) changed_fields.push(k)
+    }
+
+    return changed_fields
+  }
+
+  /**
+   * @returns {boolean} - whether any value differs from the last snapshot
+   */
+  get is_dirty() {
+    return this.changed_fields.length > 0
+  }
+
+  /**
+   * Returns cleared values of the changed fields only, typically used for PATCH requests
+   * @returns {Object}
+   */
+  get changed_values() {
+    let values = {}
+
+    for (let k of this.changed_fields) {
+      values[k] = this._form_fields_names.includes(k) ? this[k].value_clear : this[k]
+    }
+
+    return values
   }
 
   /**
@@ -98,19 +740,108 @@ export class Form {
     return value_list
   }
 
+  /**
+   * @typedef {Object} SerializeOptions
+   * @property {string, undefined} array_format - keys of arrays of plain values and files: 'repeat' (tags=a&tags=b),
+   * 'brackets' (tags[]=a), 'indices' (tags[0]=a) or 'comma' (tags=a,b). Rows and nested objects always use
+   * keys like 'items[0][name]'
+   * @property {boolean, undefined} skip_empty - whether empty strings and empty arrays are skipped
+   */
+
+  /**
+   * Returns value_fields as FormData for multipart requests, files are appended as files
+   * @param {SerializeOptions} options - skip_empty is false by default
+   * @returns {FormData}
+   */
+  to_form_data(options = {}) {
+    let form_data = new FormData()
+
+    for (let [k, v] of serialize_values(this.value_fields, {skip_empty: false, ...options})) {
+      form_data.append(k, v)
+    }
+
+    return form_data
+  }
+
+  /**
+   * Returns value_fields as URLSearchParams, e.g. to keep filters in the URL. Files are skipped
+   * @param {SerializeOptions} options - skip_empty is true by default
+   * @returns {URLSearchParams}
+   */
+  to_search_params(options = {}) {
+    let params = new URLSearchParams()
+
+    for (let [k, v] of serialize_values(this.value_fields, {skip_empty: true, ...options})) {
+      if (!is_blob(v)) params.append(k, v)
+    }
+
+    return params
+  }
+
+  /**
+   * @param {SerializeOptions} options - skip_empty is true by default
+   * @returns {string} - returns value_fields as a query string without '?'
+   */
+  to_query_string(options = {}) {
+    return this.to_search_params(options).toString()
+  }
+
+  /**
+   * Sets values of the fields found in a query string, the values are converted to the types of the fields
+   * and set through their setters. Fields missing from the query keep their values
+   * @param {string|URLSearchParams|FormData} query - '?page=2&tags=a&tags=b', URLSearchParams or FormData
+   * @param {{array_format: string|undefined}} options - array_format of the query, 'comma' splits values of arrays
+   */
+  set_query(query, options = {}) {
+    let entries = typeof query === 'string' ? new URLSearchParams(query.replace(/^\?/, '')) : query
+
+    this._set_query_values(parse_query_entries(entries), options)
+    this.snapshot()
+  }
+
+  /**
+   * @param {Object} values - values parsed from a query, values of a shape a field can't take are skipped
+   * @param {{array_format: string|undefined}} options
+   */
+  _set_query_values(values, options) {
+    for (let k in values) {
+      let field = this[k]
+      let value = values[k]
+
+      if (field instanceof FormField) {
+        value = field._parse_query(value, options)
+        if (value !== undefined) field.value = value
+      } else if (field instanceof NestedFormField) {
+        if (value !== null && typeof value === 'object') field.form._set_query_values(value, options)
+      } else if (field instanceof ListField) {
+        if (!field.row_factory) continue
+
+        field.value = [].concat(value).filter(v => v !== null && typeof v === 'object').map(v => {
+          let row = field._create_row()
+          row._set_query_values(v, options)
+          return row
+        })
+      } else if (this._value_fields_names.includes(k) && [].concat(value).every(v => typeof v === 'string')) {
+        this[k] = value
+      }
+    }
+  }
+
   /**
    * Updates the form's field values based on the provided dictionary,
    * setting values for both regular fields and fields of type FormField or ListField.
    */
   set fields(fields) {
     for (let k in fields) {
-      if (this[k] instanceof FormField || this[k] instanceof ListField) {
+      if (is_field(this[k])) {
         this[k].value = fields[k]
         this[k].is_valid = true
       } else {
         this[k] = fields[k]
       }
     }
+
+    this.snapshot()
   }
 
   /**
@@ -119,7 +850,7 @@ export class Form {
   set existing_fields(fields) {
     for (let k in fields) {
       if (k in this) {
-        if (this[k] instanceof FormField || this[k] instanceof ListField) {
+        if (is_field(this[k])) {
           this[k].value = fields[k]
           this[k].is_valid = true
         } else {
@@ -127,950 +858,5184 @@ export class Form {
         }
       }
     }
-  }
 
-  get errors() {
-    return this._errors
+    this.snapshot()
   }
 
-  set errors(errors) {
-    for (let k in errors) {
-      let clear_k = k.split('.')
-
-      clear_k = clear_k.length > 1 ? clear_k[1] : k
+  /**
+   * Returns structured errors of fields that have them, with dotted paths for fields of nested forms
+   * and ListField rows (e.g. 'address.city', 'contacts.2.phone'), and errors for names not found in the form
+   * @returns {Object<string, ValidationError[]>}
+   */
+  get errors() {
+    let errors = {}
 
-      if (this._form_fields_names.includes(clear_k)) {
-        this[clear_k].error = errors[k]
+    for (let k of this._form_fields_names) {
+      if (this[k] instanceof FormField) {
+        if (this[k].errors.length) errors[k] = this[k].errors
       } else {
-        this._errors[k] = errors[k]
+        let field_errors = this[k].errors
+        for (let path in field_errors) {
+          errors[path ? `${k}.${path}` : k] = field_errors[path]
+        }
       }
     }
+
+    for (let k in this._errors) {
+      errors[k] = render_errors(this._errors[k])
+    }
+
+    return errors
   }
 
   /**
-   * Validates data in all fields and return result of validation
-   * @returns {boolean}
+   * Sets errors from the server using the adapter from CRFormData
    */
-  check_valid() {
-    let is_valid = true
+  set errors(errors) {
+    this.set_errors(errors)
+  }
 
-    for (let k of this._form_fields_names) {
-      this[k]._checkValid()
-      if (this[k].is_valid === false) {
-        if (is_valid) is_valid = false
-      } else if (this[k].is_valid === null) {
-        if (this[k].is_required) {
-          if (is_valid) is_valid = false
-          this[k].is_valid = false
-        }
-      }
+  /**
+   * Sets errors from the server to the fields, keeping the validation errors of the fields.
+   * Dotted keys are routed to nested forms and ListField rows at any depth ('address.city', 'contacts.2.phone'),
+   * a key prefixed with the form name ('user.login') is routed to the field of this form.
+   * @param {Object} payload - errors in the format of the adapter, a flat dictionary without adapter
+   * @param {ErrorAdapter|null} adapter - adapter normalizing the payload
+   */
+  set_errors(payload, adapter = CRFormData.error_adapter) {
+    let {fields: errors, non_field_errors} = adapter ? adapter.normalize(payload) : {fields: payload}
+
+    if (non_field_errors) {
+      this._update_non_field_errors([
+        ...this._non_field_errors.filter(e => e.source !== 'server'),
+        ...make_errors(non_field_errors, 'server'),
+      ])
     }
 
-    return is_valid
+    for (let k in errors) {
+      let path = k.split('.')
+
+      if (this._set_error(path, errors[k]) || (path.length > 1 && this._set_error(path.slice(1), errors[k]))) {
+        continue
+      }
+
+      this._errors[k] = make_errors(errors[k], 'server')
+      this._emit('error', k, render_errors(this._errors[k]))
+    }
   }
-}
 
-// endregion
+  /**
+   * Sets errors from the server to the field found by path
+   * @param {string[]} path - names of fields and indexes of ListField rows
+   * @param value - errors
+   * @returns {boolean} - whether the field was found
+   */
+  _set_error(path, value) {
+    let [name, ...rest] = path
+    if (!this._form_fields_names.includes(name)) return false
 
+    let field = this[name]
 
-// region FormField
-export class FormField {
-  constructor(default_value = null, is_required = true) {
-    this._value = default_value
-    this.default_value = default_value
+    if (rest.length === 0 || field instanceof FormField) {
+      field.error = value
+      return true
+    }
 
-    this.is_required = is_required
-    this.is_changed = false
+    if (field instanceof NestedFormField) {
+      return field.form._set_error(rest, value)
+    }
 
-    this.have_empty_value = false
+    let row = field.form_value[rest[0]]
+    if (!row) return false
 
-    this.is_valid = default_value === null ? null : true
+    if (rest.length === 1) {
+      row._update_non_field_errors([...row._non_field_errors, ...make_errors(value, 'server')])
+      return true
+    }
 
-    this._error = null
+    return row._set_error(rest.slice(1), value)
   }
 
   /**
-   * Return object with css class name as key and the need to set it as value (Vue JS only)
-   * @returns {Object}
+   * Returns errors that do not belong to any field of the form
+   * @returns {ValidationError[]}
    */
-  get css_valid() {
-    return {[CRFormData.error_class]: this.is_valid === false}
+  get non_field_errors() {
+    return render_errors(this._non_field_errors)
   }
 
   /**
-   * @returns {null|*} - returns a cleared value, typically used for sending to the server
+   * Adds a rule checked by check_valid() after the validation of the fields.
+   * A rule is a function that receives the form values and returns nothing if the values are correct,
+   * or an error: a text or an object {field, code, params, message}. The error is attached to its field,
+   * to the field passed here or, if there is none, to the non-field errors of the form.
+   * @param {function(Object, Form): (string|Object|null)} rule - function from FormRule or a custom one
+   * @param {string|null} field - name of the field the error is attached to
+   * @returns {this} - returns the current object
    */
-  get value_clear() {
-    return this._value
+  add_rule(rule, field = null) {
+    this._rules.push({rule, field})
+    return this
   }
 
   /**
-   * @returns {null|*} - returns a value that is typically used for display in forms
+   * Returns values for the rules like value_fields, empty and invalid fields are passed as null
+   * @returns {Object}
+   * @protected
    */
-  get value() {
-    return this._value
+  _rule_values() {
+    let values = {}
+
+    for (let k of this._form_fields_names) {
+      let field = this[k]
+      values[k] = field.is_valid === false || field.value_is_empty ? null : field.value_clear
+    }
+
+    for (let k of this._value_fields_names) {
+      values[k] = this[k]
+    }
+
+    return values
   }
 
   /**
-   * @param value - sets a value that is subsequently subject to compliance checks
+   * Checks the rules of the form and attaches their errors to the fields
+   * @returns {boolean}
    */
-  set value(value) {
-    this._value = value
-    this._checkValid()
-  }
+  _check_rules() {
+    if (!this._rules.length) return true
 
-  /**
-   * @returns {*|string} - returns errors, typically used to display validation errors from the server
-   */
-  get error() {
-    return this._error ? this._error : ''
-  }
+    let is_valid = true
+    let values = this._rule_values()
+    let non_field_errors = this._non_field_errors.filter(e => e.source !== 'client')
 
-  set error(value) {
-    this._error = value
-  }
+    for (let {rule, field} of this._rules) {
+      let error = rule(values, this)
+      if (FormRule.is_empty(error)) continue
 
-  /**
-   * @param value - sets validation errors for further display in the form
-   * @private
-   */
-  set __valid_error(value) {
-    let valid_error_text = this.error.split(' | ')[0]
-    let error_text = this.error.split(' | ')[1]
+      is_valid = false
 
-    if (value) {
-      if (!valid_error_text) {
-        error_text ? this.error = `${value} | ${this.error}` : this.error = value
+      if (typeof error !== 'object') error = {message: `${error}`}
+
+      let name = error.field || field
+      let {code = 'client', params = {}, message = null} = error
+
+      if (this[name] instanceof FormField) {
+        this[name].add_error({code, params, message}, 'client')
+        this[name].is_valid = false
+      } else {
+        non_field_errors.push({code, params, source: 'client', message})
       }
-    } else {
-      this.error = this.error.split(' | ')[1]
     }
-  }
 
-  filed_value_is_zero(value) {
-    return value === 0 || value === '0'
-  }
+    this._update_non_field_errors(non_field_errors)
 
-  get value_is_zero() {
-    return this.filed_value_is_zero(this._value)
+    return is_valid
   }
 
-  filed_value_is_empty(value) {
-    let value_is_empty_object = false
-    if (typeof value === 'object' && value !== null) {
-      value_is_empty_object = Object.keys(value).length === 0
+  /**
+   * Validates data in all fields and rules of the form and return result of validation
+   * @returns {boolean}
+   */
+  check_valid() {
+    let is_valid = true
+
+    for (let k of this._form_fields_names) {
+      this[k] instanceof FormField ? this[k]._validate() : this[k]._checkValid()
+      if (this[k].is_valid === false) {
+        if (is_valid) is_valid = false
+      } else if (this[k].is_valid === null) {
+        if (this[k].is_required) {
+          if (is_valid) is_valid = false
+          this[k].is_valid = false
+        }
+      }
     }
 
-    return value === null || value === undefined || value === '' || value_is_empty_object
-  }
+    if (!this._check_rules()) is_valid = false
 
-  get value_is_empty() {
-    return this.filed_value_is_empty(this._value)
+    for (let k of this._form_fields_names) {
+      if (this[k] instanceof FormField) this[k]._emit('validate', this[k].is_valid, this[k])
+    }
+    this._emit('validate', '', is_valid)
+
+    return is_valid
   }
 
   /**
-   * Sets default value for value field
+   * Creates a form from a JSON Schema of an object. Local references ($ref: '#/...') are resolved against the schema.
+   * @param {Object} schema - JSON Schema with type 'object' and properties
+   * @returns {Form}
    */
-  clear() {
-    this.value = this.default_value
+  static from_json_schema(schema) {
+    return form_from_json_schema(schema, schema)
   }
 
   /**
-   * Validates data and set result of validation in is_valid field
+   * Exports definition of the form fields to a JSON Schema document
+   * @returns {Object}
    */
-  _checkValid() {
-    if (this.value_is_empty && !this.value_is_zero) {
-      this.is_valid = !this.is_required
-    } else {
-      this.is_valid = true
+  to_json_schema() {
+    let properties = {}
+    let required = []
+
+    for (let k of this._form_fields_names) {
+      properties[k] = this[k].to_json_schema()
+      if (this[k].is_required) required.push(k)
+    }
+
+    for (let k of this._value_fields_names) {
+      properties[k] = json_schema_of_value(this[k])
     }
+
+    let schema = {type: 'object', properties}
+    if (required.length) schema.required = required
+
+    return schema
   }
 
-  // region Kwargs
   /**
-   * @typedef {Object} Kwargs
-   * @property {boolean, undefined} is_required - whether the field is required to be filled in
-   * @property {any, undefined} default_value
-   * @property {number, undefined} min_length - min length for string
-   * @property {number, undefined} max_length - max length for string
-   * @property {string, undefined} regex - regular expression that the string must match
-   * @property {string, undefined} example - example of correct value
-   * @property {string, undefined} mask - field fill mask
-   * @property {number, undefined} min - minimal value for number
-   * @property {number, undefined} max - maximum value for number
-   * @property {number, undefined} decimal_places - maximum count of digits to the right of the decimal point
-   * @property {number, undefined} max_digits - maximum count of digits in number
-   * @property {boolean, undefined} have_empty_value - value can be empty
-   * @property {string, undefined} returned_key - the name of the return value field for SelectObjectField
+   * Validates data like check_valid() and waits for the async validators of all fields
+   * @returns {Promise<boolean>}
    */
+  async check_valid_async() {
+    let is_valid = this.check_valid()
 
-  // endregion
+    let results = await Promise.all(this._form_fields_names.map(k => this[k].check_valid_async()))
+
+    return is_valid && !results.includes(false)
+  }
 
   /**
-   * @param {Kwargs} kwargs - dictionary with object fields
-   * @returns {this} - returns the current object
-   * @throws {FieldError} - Throws an error if the key is not found in the dictionary
+   * Returns true while async validators of any field are running or waiting for the debounce delay
+   * @returns {boolean}
    */
-  kwargs(kwargs = {}) {
-    for (let k in kwargs) {
-      if (k in this) {
-        this[k] = kwargs[k]
-      } else {
-        throw new FieldError(`${k}`)
-      }
-    }
-    return this
+  get pending() {
+    return this._form_fields_names.some(k => this[k].pending)
   }
 }
 
 // endregion
 
 
-// region StringField
-export class StringField extends FormField {
-  constructor(default_value = '', is_required = true, min_length = null, max_length = null, regex = '', example = '', mask = '', return_with_mask = false) {
-    super(default_value, is_required)
-    this.min_length = min_length
-    this.max_length = max_length
-    this.regex = regex
-    this.example = example
-    this.mask = mask
-    this.return_with_mask = return_with_mask
+// region FormRule
+/**
+ * Factories of rules for Form.add_rule() that check values of several fields.
+ * Rules compare the cleared values of the fields (the same as in Form.value_fields), empty and invalid fields are null.
+ */
+export class FormRule {
+  static is_empty(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)
+  }
+
+  static _matches(value, expected) {
+    if (expected === undefined) return !FormRule.is_empty(value)
+    if (typeof expected === 'function') return !!expected(value)
+    return value === expected
+  }
+
+  static _compare(a, b) {
+    if (!isNaN(Number(a)) && !isNaN(Number(b))) {
+      return Number(a) - Number(b)
+    }
+    return `${a}` < `${b}` ? -1 : `${a}` > `${b}` ? 1 : 0
   }
 
   /**
-   * @returns {null|*} - returns a cleared value, typically used for sending to the server
+   * Value of the field must be equal to value of other field (e.g. password confirmation)
+   * @param {string} field
+   * @param {string} other_field
    */
-  get value_clear() {
-    if (this.return_with_mask) {
-      return this._value === '' ? null : this._value
+  static equal_to(field, other_field) {
+    return function (values) {
+      if (values[field] !== values[other_field]) {
+        return {field, code: 'equal_to', params: {other_field}}
+      }
     }
+  }
 
-    let mask_replace = this.mask.split(/_/g).join('')
-
-    let result = this._value.replace(new RegExp(`[${mask_replace}]`, 'g'), '')
-
-    if (this.have_empty_value) {
-      return result
+  /**
+   * Field is required if other field is filled, equals the value or the value function returns true for it
+   * @param {string} field
+   * @param {string} other_field
+   * @param {*|function(*): boolean} value
+   */
+  static required_if(field, other_field, value = undefined) {
+    return function (values) {
+      if (FormRule._matches(values[other_field], value) && FormRule.is_empty(values[field])) {
+        return {field, code: 'required', params: {other_field}}
+      }
     }
-
-    return result === '' ? null : result
   }
 
-  get value() {
-    return this._value
+  /**
+   * Field is required unless other field is filled, equals the value or the value function returns true for it
+   * @param {string} field
+   * @param {string} other_field
+   * @param {*|function(*): boolean} value
+   */
+  static required_unless(field, other_field, value = undefined) {
+    return function (values) {
+      if (!FormRule._matches(values[other_field], value) && FormRule.is_empty(values[field])) {
+        return {field, code: 'required', params: {other_field}}
+      }
+    }
   }
 
-  set value(value) {
-    if (this.mask === '' || !value) {
-      super.value = value
-      return
-    }
+  /**
+   * Value of the field must be greater than value of other field (numbers, ISO dates or strings).
+   * Not checked while any of the fields is empty.
+   * @param {string} field
+   * @param {string} other_field
+   * @param {boolean} or_equal - whether equal values are allowed
+   */
+  static greater_than_field(field, other_field, or_equal = false) {
+    return function (values) {
+      if (FormRule.is_empty(values[field]) || FormRule.is_empty(values[other_field])) return
 
-    if (this._value && this._value.length > value.length) {
-      super.value = value
-      return
+      let result = FormRule._compare(values[field], values[other_field])
+      if (result < 0 || (result === 0 && !or_equal)) {
+        return {field, code: or_equal ? 'greater_or_equal_field' : 'greater_than_field', params: {other_field}}
+      }
     }
+  }
 
-    let self = this
-
-    let i = 0
+  /**
+   * Value of the field (a password) must not contain values of other fields (login, name, email without domain),
+   * case-insensitive. Values shorter than 3 characters are not checked.
+   * @param {string} field
+   * @param {string[]} other_fields
+   */
+  static not_similar(field, other_fields) {
+    return function (values) {
+      if (FormRule.is_empty(values[field])) return
 
-    let mask_replace = this.mask.split(/_/g).join('')
+      let value = `${values[field]}`.toLowerCase()
 
-    let clear_value = value.replace(new RegExp(`[${mask_replace}]`, 'g'), '')
+      for (let other_field of other_fields) {
+        if (FormRule.is_empty(values[other_field])) continue
 
-    if (clear_value.length === 0) {
-      super.value = clear_value
-      return
+        let other = `${values[other_field]}`.toLowerCase().split('@')[0]
+        if (other.length >= 3 && value.includes(other)) {
+          return {field, code: 'password_similar', params: {other_field}}
+        }
+      }
     }
+  }
+}
 
-    let new_value = this.mask.replace(/_/g, function (a) {
-      return i < clear_value.length ? clear_value.charAt(i++) || self.mask.charAt(i) : a
-    })
+// endregion
 
-    i = new_value.indexOf("_")
-    if (i !== -1) {
-      super.value = new_value.slice(0, i)
-      return
-    }
 
-    super.value = new_value
+// region FieldRule
+/**
+ * Factories of validators for FormField.add_validator(), usable on any field type.
+ * Validators receive the cleared value of the field (the same as in Form.value_fields).
+ */
+export class FieldRule {
+  /**
+   * Length of a string or count of values of an array must be at least min_length
+   * @param {number} min_length
+   */
+  static min_length(min_length) {
+    return function (value) {
+      if (Array.isArray(value)) {
+        if (value.length < min_length) return {code: 'min_selected', params: {min_selected: min_length}}
+      } else if (`${value}`.length < min_length) {
+        return {code: 'min_length', params: {min_length}}
+      }
+    }
   }
 
   /**
-   * Validates data and set result of validation in is_valid field
+   * String must match the regular expression
+   * @param {RegExp|string} regex
    */
-  _checkValid() {
-    super._checkValid()
-    if (!this.is_valid) {
-      return
+  static pattern(regex) {
+    let pattern = typeof regex === 'string' ? new RegExp(regex) : regex
+
+    return function (value) {
+      pattern.lastIndex = 0
+      if (!pattern.test(`${value}`)) return {code: 'pattern'}
     }
+  }
 
-    if (this.value_is_empty && !this.is_required) {
-      this.is_valid = true
-      this._value = ''
-      return
+  /**
+   * Value (or every value of an array) must be one of the values
+   * @param {Array} values
+   */
+  static one_of(values) {
+    return function (value) {
+      if ([].concat(value).some(v => !values.includes(v))) return {code: 'one_of'}
     }
+  }
 
-    if (this.min_length != null) {
-      if (this.min_length > this._value.length) {
-        this.is_valid = false
-        this.__valid_error = `Минимум ${this.min_length} символов`
-        return
-      }
-      this.__valid_error = null
+  /**
+   * Value (or any value of an array) must not be one of the values, e.g. reserved logins
+   * @param {Array} values
+   */
+  static not_one_of(values) {
+    return function (value) {
+      if ([].concat(value).some(v => values.includes(v))) return {code: 'not_one_of'}
     }
+  }
 
-    if (this.max_length != null) {
-      if (this.max_length < this._value.length) {
-        this.is_valid = false
-        this.__valid_error = `Максимум ${this.max_length} символов`
-        return
-      } else {
-        this.__valid_error = null
+  /**
+   * Value must be between min and max inclusive (numbers, ISO dates or strings), null means no limit
+   * @param {*} min
+   * @param {*} max
+   */
+  static between(min, max) {
+    return function (value) {
+      if ((min !== null && FormRule._compare(value, min) < 0) || (max !== null && FormRule._compare(value, max) > 0)) {
+        return {code: 'between', params: {min, max}}
       }
     }
+  }
 
-    this.is_valid = !!this._value.match(this.regex)
-    if (!this.is_valid) {
-      this.__valid_error = `Пример: ${this.example}`
+  /**
+   * Validator from a predicate returning whether the value is correct
+   * @param {function(*, FormField): boolean} predicate
+   * @param {{code: string|undefined, params: Object|undefined, message: string|undefined}} error
+   */
+  static custom(predicate, error = {}) {
+    return function (value, field) {
+      if (!predicate(value, field)) return {code: 'invalid', ...error}
     }
   }
 }
 
-export class EmailField extends StringField {
-  constructor(default_value = '', is_required = true) {
-    super(default_value, is_required, 5, 100, '^[^@]+@[^@.]+[.]{1}[^@.]+$', 'example@domain.net', '')
-  }
-}
+// endregion
 
-export class PhoneField extends StringField {
-  constructor(default_value = '', is_required = true) {
-    super(default_value, is_required, 10, 16, '^[+][\\d]\\d+$', '+79999999999', '+_______________', true)
-  }
-}
 
-export class TextField extends StringField {
-  constructor(default_value = '', is_required = true, min_length = null, max_length = 50) {
-    super(default_value, is_required, min_length, max_length, '^[\\w а-яА-ЯёЁ \\W]+$', 'символы алфавита, цифры и специальные символы')
-  }
+// region FormField
+/**
+ * Built-in transforms of strings for FormField.input_transforms and output_transforms, other values are kept as is
+ */
+const value_transforms = {
+  'trim': value => value.trim(),
+  'collapse_whitespace': value => value.replace(/\s+/g, ' '),
+  'lower': value => value.toLowerCase(),
+  'upper': value => value.toUpperCase(),
+  'title': value => value.toLowerCase().replace(/(^|[\s\-'])(\p{L})/gu, (match, before, letter) => {
+    return `${before}${letter.toUpperCase()}`
+  }),
+  'digits': value => value.replace(/\D/g, ''),
+  'nfc': value => value.normalize('NFC'),
 }
 
-export class NameField extends StringField {
-  constructor(default_value = '', is_required = true, min_length = null, max_length = 50) {
-    super(default_value, is_required, min_length, max_length, '^[a-zA-Zа-яА-ЯёЁ]+$', 'символы алфавита')
+/**
+ * Applies transforms one by one: names of built-in transforms or functions (value, field) => value
+ * @returns {*}
+ */
+function transform_value(value, transforms, field) {
+  for (let transform of transforms || []) {
+    if (typeof transform === 'function') {
+      value = transform(value, field)
+    } else if (!(transform in value_transforms)) {
+      throw new CustomError('TransformError', `Unknown transform: ${transform}`)
+    } else if (typeof value === 'string') {
+      value = value_transforms[transform](value)
+    }
   }
+
+  return value
 }
 
-export class TimeField extends StringField {
-  constructor(default_value = '', is_required = true) {
-    super(default_value, is_required, 5, 5, '^\\d{2}:\\d{2}$', 'HH:mm', '__:__', true)
-  }
+/**
+ * Base field. Events: change(value, field) after the value is set, validate(is_valid, field) after the value
+ * is validated, error(errors, field) after errors are changed
+ */
+export class FormField extends Observable {
+  static transforms = value_transforms
 
-  get value() {
-    return this._value
-  }
+  constructor(default_value = null, is_required = true) {
+    super()
+    this._value = default_value
+    this.default_value = default_value
 
-  set value(value) {
-    if (!value) {
-      super.value = value
-      return
-    }
+    this.is_required = is_required
+    this.is_changed = false
 
-    let hour = value.slice(0, 2)
-    let minute = value.slice(3, 5)
+    this.have_empty_value = false
 
-    let new_hour = hour > 23 ? '23' : hour
-    let new_minute = minute > 59 ? '59' : minute
+    this.is_valid = default_value === null ? null : true
 
-    super.value = new_hour + value.slice(2, 3) + new_minute
-  }
-}
+    this._errors = []
+    this._errors_batch = false
 
-export class DateTimeField extends StringField {
-  constructor(default_value = '', is_required = true) {
-    super(default_value, is_required)
-    this.set_format()
-  }
+    this._initial_value = default_value
+    this._initial_is_valid = this.is_valid
 
-  set_format() {
-    this.dt_format = CRFormData.formats.format_datetime
-    this.d_format = CRFormData.formats.format_date
-    this.mask = CRFormData.formats.mask_datetime
-    this.example = CRFormData.formats.format_datetime
+    this.input_transforms = []
+    this.output_transforms = []
+
+    this.validators = []
+    this.stop_on_first_error = true
+
+    this.async_validators = []
+    this.debounce = 0
+    this.pending = false
+
+    this._async_timer = null
+    this._async_controller = null
+    this._async_promise = null
+    this._async_result = null
+
+    this._source_handles = []
   }
 
   /**
-   * Validates data and set result of validation in is_valid field
+   * Return object with css class name as key and the need to set it as value (Vue JS only)
+   * @returns {Object}
+   */
+  get css_valid() {
+    return {[CRFormData.error_class]: this.is_valid === false}
+  }
+
+  /**
+   * @returns {null|*} - returns a cleared value with output_transforms applied, typically used for sending to the server
+   */
+  get value_clear() {
+    return transform_value(this._clear_value(), this.output_transforms, this)
+  }
+
+  /**
+   * Returns a cleared value before output_transforms, subclasses convert the value for the server here
+   * @returns {null|*}
+   * @protected
+   */
+  _clear_value() {
+    return this._value
+  }
+
+  /**
+   * @returns {null|*} - returns a value that is typically used for display in forms
+   */
+  get value() {
+    return this._value
+  }
+
+  /**
+   * @param value - sets a value that is subsequently subject to compliance checks
+   */
+  set value(value) {
+    this._value = this._format_input(transform_value(value, this.input_transforms, this))
+    this.is_changed = this.is_dirty
+    this._validate()
+    this._emit('change', this._value, this)
+    this._emit('validate', this.is_valid, this)
+    this._schedule_async_check()
+  }
+
+  /**
+   * Formats a value with input_transforms applied before it is set, subclasses parse and format the value here
+   * @param value
+   * @returns {*}
+   * @protected
+   */
+  _format_input(value) {
+    return value
+  }
+
+  /**
+   * @returns {boolean} - whether the value differs from the last snapshot
+   */
+  get is_dirty() {
+    return !values_equal(this._value, this._initial_value)
+  }
+
+  /**
+   * Remembers current value and validation state as initial ones
+   */
+  snapshot() {
+    this._initial_value = this._value
+    this._initial_is_valid = this.is_valid
+    this.is_changed = false
+  }
+
+  /**
+   * Returns value and validation state to the last snapshot and removes all errors
+   */
+  reset() {
+    this._cancel_async_check()
+
+    this._value = this._initial_value
+    this.is_valid = this._initial_is_valid
+    this.is_changed = false
+
+    this.clear_errors()
+    this._emit('change', this._value, this)
+  }
+
+  /**
+   * Validates the field again when the source field is changed, until destroy() is called
+   * @param {FormField} field
+   * @protected
+   */
+  _revalidate_on_change(field) {
+    this._source_handles.push(field.on('change', () => {
+      if (this.value_is_empty) return
+
+      this._validate()
+      this._emit('validate', this.is_valid, this)
+    }))
+  }
+
+  /**
+   * Unsubscribes the field from the fields it depends on and cancels a pending async check
+   */
+  destroy() {
+    this._cancel_async_check()
+    this._source_handles.forEach(off => off())
+    this._source_handles = []
+  }
+
+  /**
+   * @typedef {Object} ValidationError
+   * @property {string} code - message code from CRFormData catalogs, 'server' for errors received as text
+   * @property {Object} params - values for message placeholders
+   * @property {string} source - 'client' for validation errors, 'server' for errors from the server
+   * @property {string} message - error text rendered in the current locale
+   */
+
+  /**
+   * @returns {ValidationError[]} - returns validation errors followed by the errors from the server
+   */
+  get errors() {
+    return render_errors([
+      ...this._errors.filter(e => e.source === 'client'),
+      ...this._errors.filter(e => e.source !== 'client'),
+    ])
+  }
+
+  /**
+   * @returns {*|string} - returns rendered errors joined with ' | ', typically used for display in forms
+   */
+  get error() {
+    return this.errors.map(e => e.message).join(' | ')
+  }
+
+  /**
+   * @param value - sets errors from the server (text, list of texts or error objects), empty value clears them
+   */
+  set error(value) {
+    this._update_errors([...this._errors.filter(e => e.source !== 'server'), ...make_errors(value, 'server')])
+  }
+
+  /**
+   * @param value - sets validation error text for further display in the form, null clears it
+   * @private
+   */
+  set __valid_error(value) {
+    this._update_errors([...this._errors.filter(e => e.source !== 'client'), ...make_errors(value, 'client')])
+  }
+
+  /**
+   * Sets validation error by message code, rendered in the current locale on read
+   * @param {string|null} code - message code from CRFormData catalogs, null clears the error
+   * @param {Object} params - values for message placeholders
+   * @protected
+   */
+  _set_valid_error(code, params = {}) {
+    let errors = this._errors.filter(e => e.source !== 'client')
+    if (code) errors.push(...make_errors({code, params}, 'client'))
+
+    this._update_errors(errors)
+  }
+
+  /**
+   * Adds errors without removing existing ones
+   * @param value - text, error object ({code, params} or {message}) or list of them
+   * @param {string} source - 'client' or 'server'
+   */
+  add_error(value, source = 'server') {
+    this._update_errors([...this._errors, ...make_errors(value, source)])
+  }
+
+  /**
+   * Removes errors of the given source or all errors
+   * @param {string|null} source - 'client', 'server' or null for all errors
+   */
+  clear_errors(source = null) {
+    this._update_errors(source ? this._errors.filter(e => e.source !== source) : [])
+  }
+
+  _update_errors(errors) {
+    if (values_equal(errors, this._errors)) return
+
+    this._errors = errors
+    if (!this._errors_batch) this._emit('error', this.errors, this)
+  }
+
+  /**
+   * Adds a validator checked after the built-in validation of the field, validators are called in the order
+   * they were added as validator(value_clear, field). Empty values are not checked.
+   * A validator returns nothing or true if the value is correct, otherwise false or an error:
+   * a text or an object {code, params, message}
+   * @param {function(*, FormField): (boolean|string|Object|null)} validator - function from FieldRule or a custom one
+   * @param {{code: string|undefined, params: Object|undefined, message: string|undefined}} options - error
+   * used instead of the returned one
+   * @returns {this} - returns the current object
+   */
+  add_validator(validator, options = {}) {
+    this.validators.push({validator, options})
+    return this
+  }
+
+  /**
+   * Runs validators of add_validator(), the first failed one stops the chain unless stop_on_first_error is false
+   * @protected
+   */
+  _run_validators() {
+    if (!this.validators.length || (this.value_is_empty && !this.value_is_zero)) return
+    if (this.is_valid === false && this.stop_on_first_error) return
+
+    let value = this.value_clear
+    let errors = []
+
+    for (let {validator, options} of this.validators) {
+      let result = validator(value, this)
+      if (result === true || FormRule.is_empty(result)) continue
+
+      let error = {...(typeof result === 'object' ? result : result === false ? {} : {message: `${result}`}), ...options}
+      if (!error.code && !error.message) error.code = 'invalid'
+
+      errors.push(error)
+      if (this.stop_on_first_error) break
+    }
+
+    if (errors.length) {
+      this.add_error(errors, 'client')
+      this.is_valid = false
+    }
+  }
+
+  /**
+   * Validates data like _checkValid() and runs validators, emitting the error event once if errors were changed
+   */
+  _validate() {
+    let errors = this._errors
+
+    this._errors_batch = true
+    try {
+      this._checkValid()
+      this._run_validators()
+    } finally {
+      this._errors_batch = false
+    }
+
+    if (!values_equal(errors, this._errors)) this._emit('error', this.errors, this)
+  }
+
+  filed_value_is_zero(value) {
+    return value === 0 || value === '0'
+  }
+
+  get value_is_zero() {
+    return this.filed_value_is_zero(this._value)
+  }
+
+  filed_value_is_empty(value) {
+    let value_is_empty_object = false
+    if (typeof value === 'object' && value !== null) {
+      value_is_empty_object = Object.keys(value).length === 0
+    }
+
+    return value === null || value === undefined || value === '' || value_is_empty_object
+  }
+
+  get value_is_empty() {
+    return this.filed_value_is_empty(this._value)
+  }
+
+  /**
+   * Sets default value for value field
+   */
+  clear() {
+    this.value = this.default_value
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    this._set_valid_error(null)
+
+    if (this.value_is_empty && !this.value_is_zero) {
+      this.is_valid = !this.is_required
+    } else {
+      this.is_valid = true
+    }
+  }
+
+  /**
+   * Exports definition of the field to a JSON Schema
+   * @returns {Object}
+   */
+  to_json_schema() {
+    let schema = {}
+    if (!this.filed_value_is_empty(this.default_value)) schema.default = this.default_value
+    return schema
+  }
+
+  /**
+   * Converts a value parsed from a query string before it is set, strings become booleans or numbers
+   * if the default value is of that type. Returns undefined for values the field can't take, they are skipped
+   * @param {string|Array|Object} value
+   * @param {{array_format: string|undefined}} options
+   * @returns {*}
+   * @protected
+   */
+  _parse_query(value, options = {}) {
+    if (value !== null && typeof value === 'object') return undefined
+    if (typeof value !== 'string') return value
+
+    if (typeof this.default_value === 'boolean') return ['true', '1', 'on'].includes(value)
+    if (typeof this.default_value === 'number' && value !== '' && !isNaN(Number(value))) return Number(value)
+
+    return value
+  }
+
+  // region Async validation
+  /**
+   * @returns {boolean} - whether check_valid_async() has anything to check
+   * @protected
+   */
+  get _has_async_checks() {
+    return this.async_validators.length > 0
+  }
+
+  /**
+   * Cancels the check of the previous value and starts the async validators for the current one,
+   * after the debounce delay if it is set
+   * @protected
+   */
+  _schedule_async_check() {
+    this._cancel_async_check()
+    if (!this._has_async_checks) return
+
+    if (this.debounce > 0) {
+      this.pending = true
+      this._async_timer = setTimeout(() => this.check_valid_async().catch(() => null), this.debounce)
+    } else {
+      this.check_valid_async().catch(() => null)
+    }
+  }
+
+  _cancel_async_check() {
+    clearTimeout(this._async_timer)
+    this._async_timer = null
+
+    if (this._async_controller) this._async_controller.abort()
+    this._async_controller = null
+    this._async_promise = null
+
+    this.pending = false
+  }
+
+  /**
+   * Runs async validators for the current value, skipping the debounce delay.
+   * Validators are called one by one as validator(value, {signal, field}) and return (or resolve to)
+   * nothing if the value is correct, or an error: a text, an object {code, params, message} or a list of them.
+   * The result is kept for the current value, so repeated checks do not call the validators again.
+   * A check cancelled by a new value resolves with the check of the current value instead of rejecting.
+   * @returns {Promise<boolean|null>} - resolves to is_valid after the validators settle
+   */
+  check_valid_async() {
+    if (this._async_promise) return this._async_promise
+
+    clearTimeout(this._async_timer)
+    this._async_timer = null
+
+    if (!this._has_async_checks || this.is_valid === false || (this.value_is_empty && !this.value_is_zero)) {
+      this.pending = false
+      return Promise.resolve(this.is_valid)
+    }
+
+    if (this._async_result && this._async_result.value === this._value) {
+      this.pending = false
+      this._apply_async_errors(this._async_result.errors)
+      return Promise.resolve(this.is_valid)
+    }
+
+    let value = this._value
+    let controller = typeof AbortController === 'undefined' ? null : new AbortController()
+
+    this._async_controller = controller
+    this.pending = true
+
+    let promise = this._run_async_validators(value, controller ? controller.signal : null).then(errors => {
+      if (this._async_promise !== promise) return this.check_valid_async()
+
+      this._async_result = {value, errors}
+      this._async_controller = null
+      this._async_promise = null
+      this.pending = false
+
+      this._apply_async_errors(errors)
+      return this.is_valid
+    }, error => {
+      if (this._async_promise !== promise) return this.check_valid_async()
+
+      this._async_controller = null
+      this._async_promise = null
+      this.pending = false
+      throw error
+    })
+
+    this._async_promise = promise
+    return promise
+  }
+
+  async _run_async_validators(value, signal) {
+    let errors = []
+
+    for (let validator of this.async_validators) {
+      let error = await validator(value, {signal, field: this})
+      if (!this.filed_value_is_empty(error)) errors = errors.concat(error)
+    }
+
+    return errors
+  }
+
+  _apply_async_errors(errors) {
+    if (errors.length) {
+      this.add_error(errors, 'client')
+      this.is_valid = false
+    }
+
+    this._emit('validate', this.is_valid, this)
+  }
+
+  // endregion
+
+  // region Kwargs
+  /**
+   * @typedef {Object} Kwargs
+   * @property {boolean, undefined} is_required - whether the field is required to be filled in
+   * @property {any, undefined} default_value
+   * @property {Array<string|function(*, FormField): *>, undefined} input_transforms - transforms applied to a value
+   * before it is set and validated: 'trim', 'collapse_whitespace', 'lower', 'upper', 'title', 'digits', 'nfc'
+   * or functions
+   * @property {Array<string|function(*, FormField): *>, undefined} output_transforms - transforms applied
+   * to value_clear
+   * @property {boolean, undefined} stop_on_first_error - whether validators of add_validator() stop
+   * at the first failed one, otherwise errors of all failed validators are collected
+   * @property {number, undefined} min_length - min length for string
+   * @property {number, undefined} max_length - max length for string
+   * @property {string, undefined} regex - regular expression that the string must match
+   * @property {string, undefined} example - example of correct value
+   * @property {string, Object, Mask, undefined} mask - field fill mask, dictionary of masks by prefix or Mask
+   * @property {Object<string, RegExp>, null, undefined} mask_tokens - typed placeholders of mask patterns
+   * (Mask.tokens), null for `_` only
+   * @property {number, string, Date, DateTime, undefined} min - minimal value for number or date ('today', '18 years ago')
+   * @property {number, string, Date, DateTime, undefined} max - maximum value for number or date ('now + 1h')
+   * @property {boolean, undefined} exclusive_min - whether min itself is not allowed
+   * @property {boolean, undefined} exclusive_max - whether max itself is not allowed
+   * @property {number, undefined} step - the number must be a multiple of step counted from min
+   * @property {number, undefined} min_selected - minimum count of selected items of a multi select
+   * @property {number, undefined} max_selected - maximum count of selected items of a multi select
+   * @property {string[], undefined} required_classes - character classes a password must contain:
+   * 'lower', 'upper', 'digit', 'symbol'
+   * @property {number, undefined} min_classes - minimum count of character classes in a password
+   * @property {number, undefined} max_repeats - maximum count of the same character in a row in a password, 0 disables the check
+   * @property {number, undefined} max_sequence - maximum length of sequential characters ('abc', 'qwe') in a password, 0 disables the check
+   * @property {boolean, undefined} forbid_common - whether common passwords are rejected
+   * @property {boolean, undefined} allow_private - whether addresses of private networks are allowed
+   * @property {boolean, undefined} allow_loopback - whether loopback addresses are allowed
+   * @property {boolean, undefined} allow_reserved - whether reserved, link-local and multicast addresses are allowed
+   * @property {number, undefined} min_prefix - minimum prefix length of a network in CIDR notation
+   * @property {number, undefined} max_prefix - maximum prefix length of a network in CIDR notation
+   * @property {boolean, undefined} strict - whether a network in CIDR notation must not have host bits set
+   * @property {boolean, undefined} require_port - whether the port of host:port is required
+   * @property {boolean, undefined} allow_hostname - whether host:port accepts host names, not only IP addresses
+   * @property {number, undefined} max_size - maximum size of a file in bytes
+   * @property {number, undefined} max_total_size - maximum size of all files in bytes
+   * @property {string, string[], undefined} accept - accepted MIME types ('image/*') and extensions ('.pdf')
+   * @property {number, undefined} min_files - minimum count of files
+   * @property {number, undefined} max_files - maximum count of files
+   * @property {number, undefined} min_width - minimum width of an image in pixels
+   * @property {number, undefined} max_width - maximum width of an image in pixels
+   * @property {number, undefined} min_height - minimum height of an image in pixels
+   * @property {number, undefined} max_height - maximum height of an image in pixels
+   * @property {function(Blob): Promise<{width: number, height: number}|null>, undefined} image_reader - reads
+   * dimensions of an image
+   * @property {string, undefined} locale - locale of the decimal and grouping separators of a decimal
+   * @property {string, undefined} rounding - rounding mode of a decimal: 'half_up', 'half_down', 'half_even',
+   * 'up', 'down', 'ceil' or 'floor'
+   * @property {number, undefined} decimal_places - maximum count of digits to the right of the decimal point, null for no limit
+   * @property {number, undefined} max_digits - maximum count of digits in number, null for no limit
+   * @property {boolean, undefined} have_empty_value - value can be empty
+   * @property {string, undefined} returned_key - the name of the return value field for SelectObjectField
+   * @property {Array, undefined} options - allowed values for SelectField
+   * @property {string, undefined} default_country - ISO 3166-1 code of the country for national numbers in PhoneField
+   * @property {string[], undefined} allowed_countries - ISO 3166-1 codes of the countries allowed in PhoneField
+   * and IbanField
+   * @property {string, undefined} zone - IANA zone of DateTimeField and DateField values
+   * @property {string, undefined} output - 'offset' or 'utc', format of DateTimeField.value_clear
+   * @property {string[], undefined} allowed_brands - brands of cards allowed in CardNumberField ('visa', 'mir'...)
+   * @property {number, undefined} max_years - maximum count of years until the expiry date of a card
+   * @property {string[], undefined} currencies - ISO 4217 codes of the currencies allowed in MoneyField
+   * @property {string, undefined} currency - ISO 4217 code of the currency of MoneyField
+   * @property {number, undefined} max_span - maximum length of DateRangeField in days
+   * @property {boolean, undefined} allow_open - whether DateRangeField can be without start or end
+   * @property {function[], undefined} async_validators - functions returning a promise of validation error
+   * @property {number, undefined} debounce - delay in ms before running async validators after the value changes
+   */
+
+  // endregion
+
+  /**
+   * @param {Kwargs} kwargs - dictionary with object fields
+   * @returns {this} - returns the current object
+   * @throws {FieldError} - Throws an error if the key is not found in the dictionary
+   */
+  kwargs(kwargs = {}) {
+    for (let k in kwargs) {
+      if (k in this) {
+        this[k] = kwargs[k]
+      } else {
+        throw new FieldError(`${k}`)
+      }
+    }
+    return this
+  }
+}
+
+// endregion
+
+
+// region Mask
+/**
+ * Input mask. Without tokens only `_` is a placeholder (any character except literals of the pattern)
+ * and all other characters are literals, as in masks of earlier versions.
+ * With tokens (Mask.tokens or an own dictionary) placeholders accept typed characters:
+ * `_` - any character except literals of the pattern, `#` - digit, `@` - letter, `%` - hex digit,
+ * `*` - letter or digit. A placeholder character is used as a literal when escaped with `\\`,
+ * a tail in square brackets is optional: new Mask('+# (###) ###-##-##[##]', Mask.tokens).
+ */
+export class Mask {
+  static tokens = {
+    '_': /[^]/,
+    '#': /\d/,
+    '@': /\p{L}/u,
+    '%': /[\dA-Fa-f]/,
+    '*': /[\p{L}\d]/u,
+  }
+
+  /**
+   * @param {string} pattern
+   * @param {Object<string, RegExp>|null} tokens - placeholders and the characters they accept, null for `_` only
+   */
+  constructor(pattern, tokens = null) {
+    this.pattern = pattern
+    this.slots = []
+
+    let is_typed = tokens !== null
+    let optional = false
+    let literals = new Set()
+
+    if (!is_typed) tokens = {'_': Mask.tokens['_']}
+
+    for (let i = 0; i < pattern.length; i++) {
+      let char = pattern[i]
+
+      if (is_typed && char === '\\' && i + 1 < pattern.length) {
+        this.slots.push({literal: pattern[++i], optional})
+        literals.add(pattern[i])
+      } else if (is_typed && (char === '[' || char === ']')) {
+        optional = char === '['
+      } else if (char in tokens) {
+        this.slots.push({token: char, test: tokens[char], optional})
+      } else {
+        this.slots.push({literal: char, optional})
+        literals.add(char)
+      }
+    }
+
+    this._literals = literals
+  }
+
+  _accepts(slot, char) {
+    if (slot.token === '_' && this._literals.has(char)) return false
+    return slot.test.test(char)
+  }
+
+  /**
+   * Fills placeholders with characters of the value, skipping characters that do not fit.
+   * Literals are added up to the first unfilled placeholder, literals of the optional tail only if the value continues.
+   * @param {string} value
+   * @returns {{value: string, raw: string, complete: boolean}}
+   */
+  _fill(value) {
+    let result = ''
+    let raw = ''
+    let i = 0
+    let slot_index = 0
+
+    for (; slot_index < this.slots.length; slot_index++) {
+      let slot = this.slots[slot_index]
+
+      if ('literal' in slot) {
+        if (slot.optional && i >= value.length) break
+        if (value[i] === slot.literal) i++
+        result += slot.literal
+        continue
+      }
+
+      while (i < value.length && !this._accepts(slot, value[i])) i++
+      if (i >= value.length) break
+
+      result += value[i]
+      raw += value[i]
+      i++
+    }
+
+    let complete = this.slots.slice(slot_index).every(slot => slot.optional || 'literal' in slot)
+
+    return {value: raw === '' ? '' : result, raw, complete}
+  }
+
+  /**
+   * @param {string} value - value typed or pasted by the user
+   * @returns {string} - value formatted by the mask
+   */
+  apply(value) {
+    return this._fill(value || '').value
+  }
+
+  /**
+   * @param {string} value - value formatted by the mask
+   * @returns {string} - characters of the placeholders without literals
+   */
+  unmask(value) {
+    return this._fill(value || '').raw
+  }
+
+  /**
+   * @param {string} value
+   * @returns {boolean} - whether all required placeholders are filled
+   */
+  is_complete(value) {
+    return this._fill(value || '').complete
+  }
+
+  /**
+   * Computes caret position in the formatted value after a keystroke
+   * @param {string} value - value of the input after the keystroke, before formatting
+   * @param {number} caret - caret position in the value
+   * @param {boolean} is_deletion - whether the keystroke deleted characters, the caret does not skip literals then
+   * @returns {number} - caret position in apply(value)
+   */
+  caret(value, caret, is_deletion = false) {
+    let count = this.unmask((value || '').slice(0, caret)).length
+    let formatted = this.apply(value)
+    let position = 0
+
+    for (let slot of this.slots) {
+      if (position >= formatted.length) break
+      if ('token' in slot) {
+        if (count === 0) break
+        count--
+      } else if (count === 0 && is_deletion) {
+        break
+      }
+      position++
+    }
+
+    return Math.min(position, formatted.length)
+  }
+}
+
+/**
+ * Mask chosen by the prefix of the value, e.g. different phone formats per country code ('+7', '+375').
+ * The longest prefix that the value starts with wins, '' is used as a fallback.
+ */
+export class DynamicMask {
+  /**
+   * @param {Object<string, string|Mask>} masks - dictionary with prefix as key and mask as value
+   * @param {Object<string, RegExp>|null} tokens - tokens of the masks given as patterns
+   */
+  constructor(masks, tokens = null) {
+    this.masks = {}
+
+    for (let prefix in masks) {
+      this.masks[prefix] = masks[prefix] instanceof Mask ? masks[prefix] : new Mask(masks[prefix], tokens)
+    }
+  }
+
+  /**
+   * @param {string} value
+   * @returns {Mask|null} - mask for the value
+   */
+  select(value) {
+    let prefixes = Object.keys(this.masks).filter(p => (value || '').startsWith(p)).sort((a, b) => b.length - a.length)
+
+    return prefixes.length ? this.masks[prefixes[0]] : null
+  }
+
+  apply(value) {
+    let mask = this.select(value)
+    return mask ? mask.apply(value) : value
+  }
+
+  unmask(value) {
+    let mask = this.select(value)
+    return mask ? mask.unmask(value) : value
+  }
+
+  is_complete(value) {
+    let mask = this.select(value)
+    return mask ? mask.is_complete(value) : true
+  }
+
+  caret(value, caret, is_deletion = false) {
+    let mask = this.select(value)
+    return mask ? mask.caret(value, caret, is_deletion) : caret
+  }
+}
+
+/**
+ * @param {string|Object|Mask|DynamicMask} mask - pattern, dictionary of patterns by prefix or mask
+ * @param {Object<string, RegExp>|null} tokens - tokens of patterns
+ * @returns {Mask|DynamicMask}
+ */
+function compile_mask(mask, tokens = null) {
+  if (mask instanceof Mask || mask instanceof DynamicMask) return mask
+  if (typeof mask === 'object') return new DynamicMask(mask, tokens)
+
+  return new Mask(mask, tokens)
+}
+
+// endregion
+
+
+// region StringField
+export class StringField extends FormField {
+  constructor(default_value = '', is_required = true, min_length = null, max_length = null, regex = '', example = '', mask = '', return_with_mask = false) {
+    super(default_value, is_required)
+    this.min_length = min_length
+    this.max_length = max_length
+    this.regex = regex
+    this.example = example
+    this.mask = mask
+    this.mask_tokens = null
+    this.return_with_mask = return_with_mask
+  }
+
+  /**
+   * @returns {null|*} - returns a cleared value, typically used for sending to the server
+   */
+  _clear_value() {
+    if (this.return_with_mask) {
+      return this._value === '' ? null : this._value
+    }
+
+    let result = this.mask ? this.mask_engine.unmask(this._value) : this._value
+
+    if (this.have_empty_value) {
+      return result
+    }
+
+    return result === '' ? null : result
+  }
+
+  /**
+   * Formats typed value with the mask, deleted characters are kept as is
+   * @param value
+   * @returns {*}
+   * @protected
+   */
+  _format_input(value) {
+    value = super._format_input(value)
+    if (!this.mask || !value) return value
+    if (this._value && this._value.length > value.length) return value
+
+    return this.mask_engine.apply(value)
+  }
+
+  /**
+   * Returns compiled mask of the field, the mask can be a pattern, a dictionary of patterns by prefix or a Mask.
+   * Patterns use typed placeholders when mask_tokens is set
+   * @returns {Mask|DynamicMask}
+   */
+  get mask_engine() {
+    if (!this._mask_engine || this._mask_engine_source !== this.mask || this._mask_engine_tokens !== this.mask_tokens) {
+      this._mask_engine = compile_mask(this.mask, this.mask_tokens)
+      this._mask_engine_source = this.mask
+      this._mask_engine_tokens = this.mask_tokens
+    }
+
+    return this._mask_engine
+  }
+
+  /**
+   * Computes caret position in the formatted value after a keystroke, so the caret does not jump in the input
+   * @param {string} value - value of the input after the keystroke, before formatting
+   * @param {number} caret - caret position in the value
+   * @param {boolean} is_deletion - whether the keystroke deleted characters
+   * @returns {number}
+   */
+  mask_caret(value, caret, is_deletion = false) {
+    return this.mask ? this.mask_engine.caret(value, caret, is_deletion) : caret
+  }
+
+  /**
+   * Exports definition of the field to a JSON Schema
+   * @returns {Object}
+   */
+  to_json_schema() {
+    let schema = {type: 'string', ...super.to_json_schema()}
+
+    if (this.min_length != null) schema.minLength = this.min_length
+    if (this.max_length != null) schema.maxLength = this.max_length
+    if (this.regex) schema.pattern = this.regex instanceof RegExp ? this.regex.source : this.regex
+    if (this.example && CRFormData.example(this.example) === this.example) schema.examples = [this.example]
+
+    return schema
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    super._checkValid()
+    if (!this.is_valid) {
+      return
+    }
+
+    if (this.value_is_empty && !this.is_required) {
+      this.is_valid = true
+      this._value = ''
+      return
+    }
+
+    if (this.min_length != null) {
+      if (this.min_length > this._value.length) {
+        this.is_valid = false
+        this._set_valid_error('min_length', {min_length: this.min_length})
+        return
+      }
+      this._set_valid_error(null)
+    }
+
+    if (this.max_length != null) {
+      if (this.max_length < this._value.length) {
+        this.is_valid = false
+        this._set_valid_error('max_length', {max_length: this.max_length})
+        return
+      } else {
+        this._set_valid_error(null)
+      }
+    }
+
+    this.is_valid = !!this._value.match(this.regex)
+    if (!this.is_valid) {
+      this._set_valid_error('example', {example: this.example})
+    }
+  }
+}
+
+export class EmailField extends StringField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required, 5, 100, '^[^@]+@[^@.]+[.]{1}[^@.]+$', 'example@domain.net', '')
+  }
+
+  to_json_schema() {
+    return {...super.to_json_schema(), format: 'email'}
+  }
+}
+
+/**
+ * Numbering plans for PhoneField: calling code, ISO 3166-1 country code, allowed lengths of the national number,
+ * its leading digits (any if not set), trunk prefix dialed before national numbers and display mask
+ */
+const phone_numbering_plans = [
+  {country: 'RU', code: '7', lengths: [10], prefixes: ['3', '4', '8', '9'], trunk_prefix: '8', mask: '+# (###) ###-##-##'},
+  {country: 'KZ', code: '7', lengths: [10], prefixes: ['6', '7'], trunk_prefix: '8', mask: '+# (###) ###-##-##'},
+  {country: 'BY', code: '375', lengths: [9], prefixes: ['1', '2', '3', '4'], trunk_prefix: '8', mask: '+### (##) ###-##-##'},
+  {country: 'UA', code: '380', lengths: [9], trunk_prefix: '0', mask: '+### (##) ###-##-##'},
+  {country: 'UZ', code: '998', lengths: [9], mask: '+### (##) ###-##-##'},
+  {country: 'KG', code: '996', lengths: [9], trunk_prefix: '0', mask: '+### (###) ###-###'},
+  {country: 'TJ', code: '992', lengths: [9], mask: '+### (##) ###-####'},
+  {country: 'AM', code: '374', lengths: [8], trunk_prefix: '0', mask: '+### (##) ###-###'},
+  {country: 'AZ', code: '994', lengths: [9], trunk_prefix: '0', mask: '+### (##) ###-##-##'},
+  {country: 'GE', code: '995', lengths: [9], trunk_prefix: '0', mask: '+### (###) ###-###'},
+  {country: 'MD', code: '373', lengths: [8], trunk_prefix: '0', mask: '+### (####) ####'},
+  {country: 'LV', code: '371', lengths: [8], mask: '+### ## ### ###'},
+  {country: 'LT', code: '370', lengths: [8], trunk_prefix: '8', mask: '+### ### #####'},
+  {country: 'EE', code: '372', lengths: [7, 8], mask: '+### #### ###[#]'},
+  {country: 'US', code: '1', lengths: [10], prefixes: ['2', '3', '4', '5', '6', '7', '8', '9'], trunk_prefix: '1', mask: '+# (###) ###-####'},
+  {country: 'GB', code: '44', lengths: [9, 10], prefixes: ['1', '2', '3', '7', '8'], trunk_prefix: '0', mask: '+## #### ######'},
+  {country: 'DE', code: '49', lengths: [6, 7, 8, 9, 10, 11, 12, 13], trunk_prefix: '0', mask: '+## ### ###[########]'},
+  {country: 'FR', code: '33', lengths: [9], trunk_prefix: '0', mask: '+## # ## ## ## ##'},
+  {country: 'IT', code: '39', lengths: [6, 7, 8, 9, 10, 11], mask: '+## ### ###[#####]'},
+  {country: 'ES', code: '34', lengths: [9], mask: '+## ### ### ###'},
+  {country: 'NL', code: '31', lengths: [9], trunk_prefix: '0', mask: '+## ## ### ####'},
+  {country: 'PL', code: '48', lengths: [9], mask: '+## ### ### ###'},
+  {country: 'CZ', code: '420', lengths: [9], mask: '+### ### ### ###'},
+  {country: 'FI', code: '358', lengths: [5, 6, 7, 8, 9, 10, 11, 12], trunk_prefix: '0', mask: '+### ## ###[#######]'},
+  {country: 'TR', code: '90', lengths: [10], trunk_prefix: '0', mask: '+## (###) ### ## ##'},
+  {country: 'IL', code: '972', lengths: [8, 9], trunk_prefix: '0', mask: '+### ## ### ###[#]'},
+  {country: 'AE', code: '971', lengths: [8, 9], trunk_prefix: '0', mask: '+### ## ### ###[#]'},
+  {country: 'CN', code: '86', lengths: [10, 11], trunk_prefix: '0', mask: '+## ### #### ###[#]'},
+  {country: 'IN', code: '91', lengths: [10], trunk_prefix: '0', mask: '+## ##### #####'},
+]
+
+/**
+ * Phone in international format. The display value is formatted with the mask of the country,
+ * value_clear always returns E.164 (+79991234567). Numbers typed without + are treated as national numbers
+ * of default_country (8 999 123-45-67 for RU), the country is detected by the calling code and leading digits.
+ */
+export class PhoneField extends StringField {
+  static numbering_plans = phone_numbering_plans
+
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required, null, null, '', '+79999999999', {}, true)
+
+    this.default_country = null
+    this.allowed_countries = null
+
+    for (let plan of PhoneField.numbering_plans) {
+      if (!(`+${plan.code}` in this.mask)) this.mask[`+${plan.code}`] = plan.mask
+    }
+    this.mask[''] = '+###############'
+    this.mask_tokens = Mask.tokens
+  }
+
+  /**
+   * Converts national number to international one before it is formatted with the mask
+   * @protected
+   */
+  _format_input(value) {
+    return super._format_input(this._international(value))
+  }
+
+  /**
+   * Converts national number to international one using default_country
+   * @param value
+   * @returns {*}
+   */
+  _international(value) {
+    if (typeof value !== 'string' || value.trim().startsWith('+')) return value
+
+    let digits = value.replace(/\D/g, '')
+    if (!digits) return value
+    if (digits.startsWith('00')) return `+${digits.slice(2)}`
+
+    let plan = PhoneField.numbering_plans.find(p => p.country === this.default_country)
+    if (!plan || digits.startsWith(plan.code)) return `+${digits}`
+
+    if (plan.trunk_prefix && digits.startsWith(plan.trunk_prefix)) {
+      digits = digits.slice(plan.trunk_prefix.length)
+    }
+
+    return `+${plan.code}${digits}`
+  }
+
+  /**
+   * @returns {{country: string, code: string, national: string, plan: Object}|null} - numbering plan of the value
+   */
+  get phone_info() {
+    let digits = (this._value || '').replace(/\D/g, '')
+    let plans = PhoneField.numbering_plans.filter(p => digits.startsWith(p.code))
+    if (!plans.length) return null
+
+    let code = plans.reduce((code, p) => p.code.length > code.length ? p.code : code, '')
+    let national = digits.slice(code.length)
+
+    plans = plans.filter(p => p.code === code)
+    let plan = plans.find(p => !p.prefixes || p.prefixes.some(prefix => national.startsWith(prefix))) || plans[0]
+
+    return {country: plan.country, code, national, plan}
+  }
+
+  /**
+   * @returns {string|null} - ISO 3166-1 code of the country of the value
+   */
+  get country() {
+    let info = this.phone_info
+    return info ? info.country : null
+  }
+
+  /**
+   * @returns {null|string} - returns phone in E.164 format
+   */
+  _clear_value() {
+    let digits = (this._value || '').replace(/\D/g, '')
+    return digits ? `+${digits}` : null
+  }
+
+  to_json_schema() {
+    return {...super.to_json_schema(), pattern: '^\\+[1-9]\\d{4,14}$'}
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    super._checkValid()
+    if (!this.is_valid || this.value_is_empty) {
+      return
+    }
+
+    let info = this.phone_info
+
+    if (!info) {
+      this.is_valid = false
+      this._set_valid_error('phone_unknown_country')
+      return
+    }
+
+    let {country, national, plan} = info
+
+    if (this.allowed_countries && !this.allowed_countries.includes(country)) {
+      this.is_valid = false
+      this._set_valid_error('phone_country_not_allowed', {country})
+      return
+    }
+
+    let prefix_is_valid = !plan.prefixes || plan.prefixes.some(prefix => national.startsWith(prefix))
+
+    if (!plan.lengths.includes(national.length) || !prefix_is_valid) {
+      this.is_valid = false
+      this._set_valid_error('phone_invalid', {country})
+    }
+  }
+}
+
+export class TextField extends StringField {
+  constructor(default_value = '', is_required = true, min_length = null, max_length = 50) {
+    super(default_value, is_required, min_length, max_length, '^[\\w а-яА-ЯёЁ \\W]+$', 'text')
+  }
+}
+
+export class NameField extends StringField {
+  constructor(default_value = '', is_required = true, min_length = null, max_length = 50) {
+    super(default_value, is_required, min_length, max_length, '^[a-zA-Zа-яА-ЯёЁ]+$', 'letters')
+  }
+}
+
+export class TimeField extends StringField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required, 5, 5, '^\\d{2}:\\d{2}$', 'HH:mm', '##:##', true)
+    this.mask_tokens = Mask.tokens
+  }
+
+  /**
+   * Limits hours to 23 and minutes to 59 before the value is formatted with the mask
+   * @protected
+   */
+  _format_input(value) {
+    if (!value) return super._format_input(value)
+
+    let hour = value.slice(0, 2)
+    let minute = value.slice(3, 5)
+
+    let new_hour = hour > 23 ? '23' : hour
+    let new_minute = minute > 59 ? '59' : minute
+
+    return super._format_input(new_hour + value.slice(2, 3) + new_minute)
+  }
+}
+
+const relative_date_units = {
+  'y': 'years', 'year': 'years', 'years': 'years',
+  'mo': 'months', 'month': 'months', 'months': 'months',
+  'w': 'weeks', 'week': 'weeks', 'weeks': 'weeks',
+  'd': 'days', 'day': 'days', 'days': 'days',
+  'h': 'hours', 'hour': 'hours', 'hours': 'hours',
+  'm': 'minutes', 'min': 'minutes', 'minute': 'minutes', 'minutes': 'minutes',
+  's': 'seconds', 'sec': 'seconds', 'second': 'seconds', 'seconds': 'seconds',
+}
+
+/**
+ * Parses relative date expressions: 'now', 'today', 'tomorrow', 'yesterday' with optional shifts
+ * ('now + 1h', 'today - 7 days'), '18 years ago' and 'in 2 weeks'
+ * @param {string} expression
+ * @param {string} zone
+ * @returns {DateTime|null} - null if the expression is not relative
+ */
+function parse_relative_date(expression, zone) {
+  let text = expression.trim().toLowerCase()
+  let now = DateTime.now().setZone(zone)
+  let match
+
+  if ((match = text.match(/^(\d+)\s*([a-z]+)\s+ago$/)) && match[2] in relative_date_units) {
+    return now.minus({[relative_date_units[match[2]]]: Number(match[1])})
+  }
+
+  if ((match = text.match(/^in\s+(\d+)\s*([a-z]+)$/)) && match[2] in relative_date_units) {
+    return now.plus({[relative_date_units[match[2]]]: Number(match[1])})
+  }
+
+  match = text.match(/^(now|today|tomorrow|yesterday)((?:\s*[+-]\s*\d+\s*[a-z]+)*)$/)
+  if (!match) return null
+
+  let bases = {
+    'now': now,
+    'today': now.startOf('day'),
+    'tomorrow': now.startOf('day').plus({days: 1}),
+    'yesterday': now.startOf('day').minus({days: 1}),
+  }
+  let result = bases[match[1]]
+
+  for (let [, sign, amount, unit] of match[2].matchAll(/([+-])\s*(\d+)\s*([a-z]+)/g)) {
+    if (!(unit in relative_date_units)) return null
+
+    let shift = {[relative_date_units[unit]]: Number(amount)}
+    result = sign === '+' ? result.plus(shift) : result.minus(shift)
+  }
+
+  return result
+}
+
+/**
+ * Date and time in the format from CRFormData. Values are parsed and displayed in the zone of the field
+ * (or CRFormData.zone, or the zone of the browser), value_clear returns ISO with the offset of the zone
+ * or in UTC if output is 'utc'. min and max can be absolute (DateTime, Date, ISO or formatted string)
+ * or relative ('today', 'now + 1h', '18 years ago').
+ */
+export class DateTimeField extends StringField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required)
+    this.zone = null
+    this.output = 'offset'
+    this.min = null
+    this.max = null
+    this.set_format()
+  }
+
+  /**
+   * @returns {string} - zone used to parse and display values
+   */
+  get time_zone() {
+    return this.zone || CRFormData.zone || 'local'
+  }
+
+  /**
+   * @returns {string} - format of the displayed value
+   */
+  get display_format() {
+    return this.dt_format
+  }
+
+  /**
+   * @returns {string} - unit to which values are rounded when compared with min and max
+   */
+  get range_unit() {
+    return 'minute'
+  }
+
+  /**
+   * Parses value in the zone of the field
+   * @param {string|Date|DateTime} value - ISO string, string in the display format, Date or DateTime
+   * @returns {DateTime}
+   */
+  _parse(value) {
+    let options = {zone: this.time_zone}
+
+    if (DateTime.isDateTime(value)) return value.setZone(this.time_zone)
+    if (value instanceof Date) return DateTime.fromJSDate(value, options)
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) return DateTime.fromISO(value, options)
+
+    return DateTime.fromFormat(`${value || ''}`, this.dt_format, options)
+  }
+
+  /**
+   * Resolves min or max to a date, dates without time ('2024-06-01' or in d_format) are the start of the day
+   * @param {string|Date|DateTime|null} limit - absolute or relative date
+   * @returns {DateTime|null}
+   * @throws {DateError} - Throws an error if the limit is not a date
+   */
+  _limit(limit) {
+    if (limit === null || limit === undefined || limit === '') return null
+
+    if (typeof limit === 'string') {
+      let relative = parse_relative_date(limit, this.time_zone)
+      if (relative) return relative
+    }
+
+    let datetime_value = this._parse(limit)
+
+    if (!datetime_value.isValid && typeof limit === 'string') {
+      let options = {zone: this.time_zone}
+      datetime_value = /^\d{4}-\d{2}-\d{2}$/.test(limit)
+        ? DateTime.fromISO(limit, options)
+        : DateTime.fromFormat(limit, this.d_format, options)
+    }
+
+    if (!datetime_value.isValid) {
+      throw new CustomError('DateError', `Unknown date limit: ${limit}`)
+    }
+    return datetime_value
+  }
+
+  /**
+   * @returns {DateTime|null} - minimal allowed date
+   */
+  get min_date() {
+    return this._limit(this.min)
+  }
+
+  /**
+   * @returns {DateTime|null} - maximum allowed date
+   */
+  get max_date() {
+    return this._limit(this.max)
+  }
+
+  set_format() {
+    this.dt_format = CRFormData.formats.format_datetime
+    this.d_format = CRFormData.formats.format_date
+    this.mask = CRFormData.formats.mask_datetime
+    this.mask_tokens = Mask.tokens
+    this.example = CRFormData.formats.format_datetime
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    this._set_valid_error(null)
+
+    if (this.value_is_empty) {
+      this.is_valid = !this.is_required
+      return
+    }
+
+    let datetime_value = this._parse(this._value)
+
+    this.is_valid = datetime_value.isValid
+    if (!this.is_valid) {
+      this._set_valid_error('example', {example: this.example})
+      return
+    }
+
+    let unit = this.range_unit
+    let min = this.min_date
+    let max = this.max_date
+
+    if (min && datetime_value.startOf(unit) < min.startOf(unit)) {
+      this.is_valid = false
+      this._set_valid_error('min_date', {min: min.toFormat(this.display_format)})
+    } else if (max && datetime_value.startOf(unit) > max.startOf(unit)) {
+      this.is_valid = false
+      this._set_valid_error('max_date', {max: max.toFormat(this.display_format)})
+    }
+  }
+
+  /**
+   * Converts ISO strings, Date and DateTime to the display format before the value is formatted with the mask
+   * @protected
+   */
+  _format_input(value) {
+    if (value) {
+      let datetime_value = this._parse(value)
+      if (datetime_value.isValid) value = datetime_value.toFormat(this.display_format)
+    }
+
+    return super._format_input(value)
+  }
+
+  /**
+   * @returns {null|*} - returns a cleared value in ISO format with the offset of the zone or in UTC
+   */
+  _clear_value() {
+    let datetime_value = DateTime.fromFormat(this._value || '', this.dt_format, {zone: this.time_zone})
+    if (datetime_value.isValid) {
+      return this.output === 'utc' ? datetime_value.toUTC().toISO() : datetime_value.toISO()
+    } else {
+      return null
+    }
+  }
+
+  /**
+   * Exports definition of the field to a JSON Schema
+   * @returns {Object}
+   */
+  to_json_schema() {
+    return {type: 'string', format: 'date-time', ...FormField.prototype.to_json_schema.call(this)}
+  }
+
+  get day() {
+    let date_regex = this.d_format.replace(/[dMyms]/g, '\\d')
+    let date = this._value.match(date_regex)
+    if (date) {
+      let datetime_value = DateTime.fromFormat(date[0], this.d_format)
+      if (datetime_value.isValid) {
+        return datetime_value.day
+      }
+    }
+    return ''
+  }
+
+  get month() {
+    let date_regex = this.d_format.replace(/[dMyms]/g, '\\d')
+    let date = this._value.match(date_regex)
+    if (date) {
+      let datetime_value = DateTime.fromFormat(date[0], this.d_format)
+      if (datetime_value.isValid) {
+        return datetime_value.month
+      }
+    }
+    return ''
+  }
+
+  get year() {
+    let date_regex = this.d_format.replace(/[dMyms]/g, '\\d')
+    let date = this._value.match(date_regex)
+    if (date) {
+      let datetime_value = DateTime.fromFormat(date[0], this.d_format)
+      if (datetime_value.isValid) {
+        return datetime_value.year
+      }
+    }
+    return ''
+  }
+
+  get date() {
+    let date_regex = this.d_format.replace(/[dMyms]/g, '\\d')
+    let date = this._value.match(date_regex)
+    if (date) {
+      return date[0]
+    } else {
+      return ''
+    }
+  }
+
+  get time() {
+    let datetime_value = DateTime.fromFormat(this._value || '', this.dt_format)
+    if (datetime_value.isValid) {
+      return datetime_value.toFormat('HH:mm')
+    } else {
+      return ''
+    }
+  }
+}
+
+export class DateField extends DateTimeField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required)
+    this.set_format()
+  }
+
+  set_format(value) {
+    this.dt_format = CRFormData.formats.format_datetime
+    this.d_format = CRFormData.formats.format_date
+    this.mask = CRFormData.formats.mask_date
+    this.mask_tokens = Mask.tokens
+    this.example = CRFormData.formats.format_date
+  }
+
+  get display_format() {
+    return this.d_format
+  }
+
+  get range_unit() {
+    return 'day'
+  }
+
+  /**
+   * Parses value in the zone of the field
+   * @param {string|Date|DateTime} value - ISO date, string in the display format, Date or DateTime
+   * @returns {DateTime}
+   */
+  _parse(value) {
+    if (typeof value !== 'string' || /^\d{4}-\d{2}-\d{2}T/.test(value)) return super._parse(value)
+
+    let format = /^\d{4}-\d{2}-\d{2}$/.test(value) ? 'yyyy-MM-dd' : this.d_format
+    return DateTime.fromFormat(value, format, {zone: this.time_zone})
+  }
+
+  get value() {
+    return this._value
+  }
+
+  set value(value) {
+    super.value = value
+  }
+
+  /**
+   * @returns {null|*} - returns a cleared value, typically used for sending to the server
+   */
+  _clear_value() {
+    let datetime_value = DateTime.fromFormat(this._value || '', this.d_format)
+    if (datetime_value.isValid) {
+      return datetime_value.toFormat('yyyy-MM-dd')
+    } else {
+      return null
+    }
+  }
+
+  to_json_schema() {
+    return {...super.to_json_schema(), format: 'date'}
+  }
+
+  get day() {
+    let datetime_value = DateTime.fromFormat(this._value || '', this.d_format)
+    if (datetime_value.isValid) {
+      return datetime_value.day
+    } else {
+      return ''
+    }
+  }
+
+  get month() {
+    let datetime_value = DateTime.fromFormat(this._value || '', this.d_format)
+    if (datetime_value.isValid) {
+      return datetime_value.month
+    } else {
+      return ''
+    }
+  }
+
+  get year() {
+    let datetime_value = DateTime.fromFormat(this._value || '', this.d_format)
+    if (datetime_value.isValid) {
+      return datetime_value.year
+    } else {
+      return ''
+    }
+  }
+}
+
+/**
+ * Range of dates displayed as '01.01.2024 – 31.01.2024', value_clear returns {start, end} in ISO format.
+ * Values can be set as a string, an object {start, end} or an array [start, end] of dates accepted by DateField.
+ * allow_open allows ranges without start or end, max_span limits the range in days.
+ */
+export class DateRangeField extends StringField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required)
+    this.zone = null
+    this.min = null
+    this.max = null
+    this.max_span = null
+    this.allow_open = false
+    this._part = this._create_part()
+    this.set_format()
+
+    this._value = this._format_input(transform_value(default_value, this.input_transforms, this))
+    this._initial_value = this._value
+  }
+
+  _create_part() {
+    return new DateField('', false)
+  }
+
+  set_format() {
+    this.separator = CRFormData.formats.range_separator || ' – '
+    this.mask = `${CRFormData.formats.mask_date}${this.separator}${CRFormData.formats.mask_date}`
+    this.mask_tokens = Mask.tokens
+    this.example = `${CRFormData.formats.format_date}${this.separator}${CRFormData.formats.format_date}`
+  }
+
+  /**
+   * Returns the field used to parse and validate a part of the range, with the settings of the range
+   * @param {string} value - part of the range
+   * @returns {DateField|DateTimeField}
+   */
+  _part_field(value) {
+    this._part.zone = this.zone
+    this._part.min = this.min
+    this._part.max = this.max
+    this._part.set_format()
+    this._part.value = value
+
+    return this._part
+  }
+
+  /**
+   * @returns {{start: string, end: string}} - displayed start and end of the range
+   */
+  get parts() {
+    let [start = '', end = ''] = (this._value || '').split(this.separator.trim())
+    return {start: start.trim(), end: end.trim()}
+  }
+
+  /**
+   * @returns {DateTime|null}
+   */
+  get start() {
+    let part = this._part_field(this.parts.start)
+    return part.value_is_empty ? null : part._parse(part.value)
+  }
+
+  /**
+   * @returns {DateTime|null}
+   */
+  get end() {
+    let part = this._part_field(this.parts.end)
+    return part.value_is_empty ? null : part._parse(part.value)
+  }
+
+  _display(value) {
+    if (this.filed_value_is_empty(value)) return ''
+
+    let part = this._part_field('')
+    let datetime_value = part._parse(value)
+
+    return datetime_value.isValid ? datetime_value.toFormat(part.display_format) : `${value}`
+  }
+
+  _join(start, end) {
+    return start || end ? `${start}${this.separator}${end}` : ''
+  }
+
+  /**
+   * Values in a query string are ranges or period[start] and period[end]
+   * @protected
+   */
+  _parse_query(value) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      return {start: super._parse_query(value.start), end: super._parse_query(value.end)}
+    }
+    return super._parse_query(value)
+  }
+
+  /**
+   * Accepts a string, [start, end] or {start, end}
+   * @protected
+   */
+  _format_input(value) {
+    if (Array.isArray(value)) value = {start: value[0], end: value[1]}
+
+    if (value && typeof value === 'object' && !DateTime.isDateTime(value)) {
+      return this._join(this._display(value.start), this._display(value.end))
+    }
+
+    if (typeof value !== 'string' || !value || (this._value && this._value.length > value.length)) return value
+
+    if (value.includes(this.separator.trim())) {
+      let [start = '', end = ''] = value.split(this.separator.trim()).map(p => p.trim())
+      let mask = this._part_field('').mask_engine
+
+      return this._join(mask.apply(start), mask.apply(end))
+    }
+
+    return this.mask_engine.apply(value)
+  }
+
+  /**
+   * @returns {null|{start: (string|null), end: (string|null)}} - returns start and end in ISO format
+   */
+  _clear_value() {
+    if (this.value_is_empty) return null
+
+    let {start, end} = this.parts
+
+    return {
+      start: this._part_field(start).value_clear,
+      end: this._part_field(end).value_clear,
+    }
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    this._set_valid_error(null)
+
+    if (this.value_is_empty) {
+      this.is_valid = !this.is_required
+      return
+    }
+
+    let {start, end} = this.parts
+
+    if ((!start || !end) && !this.allow_open) {
+      this.is_valid = false
+      this._set_valid_error('range_incomplete')
+      return
+    }
+
+    for (let part of [start, end]) {
+      if (!part) continue
+
+      let field = this._part_field(part)
+      if (field.is_valid === false) {
+        this.is_valid = false
+        this._update_errors([...this._errors, ...field._errors])
+        return
+      }
+    }
+
+    this.is_valid = true
+
+    let start_value = this.start
+    let end_value = this.end
+    if (!start_value || !end_value) return
+
+    if (start_value > end_value) {
+      this.is_valid = false
+      this._set_valid_error('range_order')
+    } else if (this.max_span != null && end_value.diff(start_value, 'days').days > this.max_span) {
+      this.is_valid = false
+      this._set_valid_error('range_max_span', {max_span: this.max_span})
+    }
+  }
+
+  /**
+   * Exports definition of the field to a JSON Schema
+   * @returns {Object}
+   */
+  to_json_schema() {
+    let part = this._part_field('').to_json_schema()
+
+    return {
+      type: 'object',
+      properties: {start: part, end: part},
+      required: this.allow_open ? [] : ['start', 'end'],
+    }
+  }
+}
+
+/**
+ * Range of date and time, parsed by DateTimeField in the zone of the field
+ */
+export class DateTimeRangeField extends DateRangeField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required)
+    this.output = 'offset'
+  }
+
+  _create_part() {
+    return new DateTimeField('', false)
+  }
+
+  set_format() {
+    this.separator = CRFormData.formats.range_separator || ' – '
+    this.mask = `${CRFormData.formats.mask_datetime}${this.separator}${CRFormData.formats.mask_datetime}`
+    this.mask_tokens = Mask.tokens
+    this.example = `${CRFormData.formats.format_datetime}${this.separator}${CRFormData.formats.format_datetime}`
+  }
+
+  _part_field(value) {
+    this._part.output = this.output
+    return super._part_field(value)
+  }
+}
+
+export class LoginField extends StringField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required, 1, 50, '^[^+]\\w{0,99}$', 'login')
+  }
+}
+
+const common_passwords = new Set(`
+  123456 123456789 12345678 12345 1234567 1234567890 111111 000000 123123 654321 666666 121212 112233 123321
+  987654321 1q2w3e4r 1q2w3e 1qaz2wsx qwerty qwerty123 qwertyuiop qwe123 asdfgh asdfghjkl zxcvbnm azerty
+  password password1 passw0rd p@ssw0rd admin administrator root welcome letmein login master secret
+  iloveyou princess sunshine monkey dragon football baseball superman batman shadow michael jennifer
+  trustno1 hello freedom whatever starwars computer internet killer charlie donald mustang access
+  abc123 abcdef abcd1234 aa123456 test test123 guest default changeme 7777777 88888888 55555 1111
+  йцукен йцукенг пароль парольпароль любовь солнышко наташа марина максим андрей привет
+`.trim().split(/\s+/))
+
+const keyboard_rows = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm', 'йцукенгшщзхъ', 'фывапролджэ', 'ячсмитьбю']
+
+const password_classes = {
+  'lower': /\p{Ll}/u,
+  'upper': /\p{Lu}/u,
+  'digit': /\d/,
+  'symbol': /[^\p{L}\d]/u,
+}
+
+/**
+ * @returns {boolean} - whether the password or the password without trailing digits and symbols is a common one
+ */
+function is_common_password(password) {
+  let value = password.toLowerCase()
+  return common_passwords.has(value) || common_passwords.has(value.replace(/[\d\p{P}\p{S}_]+$/u, ''))
+}
+
+function is_sequence(chunk) {
+  let step = chunk.charCodeAt(1) - chunk.charCodeAt(0)
+  if (Math.abs(step) !== 1) return false
+
+  for (let i = 2; i < chunk.length; i++) {
+    if (chunk.charCodeAt(i) - chunk.charCodeAt(i - 1) !== step) return false
+  }
+  return true
+}
+
+/**
+ * Finds a run of sequential characters ('abcd', '4321') or a run of keys of a keyboard row ('qwer')
+ * @returns {string|null} - returns the first sequence of the given length
+ */
+function find_password_sequence(password, length) {
+  let value = password.toLowerCase()
+
+  for (let i = 0; i + length <= value.length; i++) {
+    let chunk = value.slice(i, i + length)
+    let reversed = [...chunk].reverse().join('')
+
+    if (is_sequence(chunk) || keyboard_rows.some(row => row.includes(chunk) || row.includes(reversed))) {
+      return password.slice(i, i + length)
+    }
+  }
+
+  return null
+}
+
+/**
+ * Estimates strength of the password by the size of its alphabet and the length,
+ * repeated characters and sequences count as a half
+ * @returns {number} - returns a score from 0 (very weak) to 4 (strong)
+ */
+function password_strength(password) {
+  if (!password || is_common_password(password)) return 0
+
+  let pools = {'lower': 26, 'upper': 26, 'digit': 10, 'symbol': 33}
+  let pool = Object.keys(pools).filter(c => password_classes[c].test(password)).reduce((size, c) => size + pools[c], 0)
+
+  let weak = 0
+  for (let i = 2; i < password.length; i++) {
+    let chunk = password.slice(i - 2, i + 1)
+    if (/^(.)\1\1$/u.test(chunk) || find_password_sequence(chunk, 3)) weak++
+  }
+
+  let bits = (password.length - weak / 2) * Math.log2(pool)
+  return [28, 36, 60, 80].filter(limit => bits >= limit).length
+}
+
+/**
+ * Password with a configurable policy: required character classes ('lower', 'upper', 'digit', 'symbol'),
+ * the minimal count of classes, forbidden runs of repeated or sequential characters and common passwords.
+ * strength and strength_label are meant for a strength meter
+ */
+export class PasswordField extends StringField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required, 8, 50, '')
+    this.required_classes = []
+    this.min_classes = null
+    this.max_repeats = null
+    this.max_sequence = null
+    this.forbid_common = false
+  }
+
+  /**
+   * @returns {number} - returns strength of the password from 0 (very weak) to 4 (strong)
+   */
+  get strength() {
+    return password_strength(this._value || '')
+  }
+
+  /**
+   * @returns {string} - returns a label of the strength in the current locale
+   */
+  get strength_label() {
+    return CRFormData.message(`password_strength_${this.strength}`)
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    super._checkValid()
+    if (!this.is_valid || this.value_is_empty) {
+      return
+    }
+
+    let error = this._check_policy(this._value)
+
+    if (error) {
+      this.is_valid = false
+      this._set_valid_error(error.code, error.params)
+    }
+  }
+
+  /**
+   * @returns {{code: string, params: Object}|null} - returns the first violated rule of the policy
+   */
+  _check_policy(password) {
+    if (this.forbid_common && is_common_password(password)) {
+      return {code: 'password_common', params: {}}
+    }
+
+    let missing = this.required_classes.find(c => !password_classes[c].test(password))
+    if (missing) return {code: `password_${missing}`, params: {}}
+
+    let classes = Object.keys(password_classes).filter(c => password_classes[c].test(password)).length
+    if (this.min_classes != null && classes < this.min_classes) {
+      return {code: 'password_min_classes', params: {min_classes: this.min_classes}}
+    }
+
+    let repeat = this.max_repeats > 0 && password.match(new RegExp(`(.)\\1{${this.max_repeats}}`, 'u'))
+    if (repeat) return {code: 'password_repeats', params: {repeat: repeat[0]}}
+
+    let sequence = this.max_sequence > 0 && find_password_sequence(password, this.max_sequence + 1)
+    if (sequence) return {code: 'password_sequence', params: {sequence}}
+
+    return null
+  }
+}
+
+/**
+ * Confirmation of a password, e.g. password_confirmation: new PasswordConfirmationField(password).
+ * Is validated again when the password is changed
+ */
+export class PasswordConfirmationField extends StringField {
+  constructor(password_field, default_value = '', is_required = true) {
+    super(default_value, is_required, null, null, '')
+    this.password_field = password_field
+
+    this._revalidate_on_change(password_field)
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    super._checkValid()
+    if (!this.is_valid || this.value_is_empty) {
+      return
+    }
+
+    if (this._value !== this.password_field.value) {
+      this.is_valid = false
+      this._set_valid_error('password_mismatch')
+    }
+  }
+}
+
+export class PasswordSmallField extends PasswordField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required)
+    this.min_length = 4
+  }
+}
+
+export class PasswordTinyField extends PasswordField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required)
+    this.min_length = 1
+  }
+}
+
+export class ColorHexField extends StringField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required, 7, 7, '^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$', '#FACE8D')
+  }
+}
+
+export class HashMD5 extends StringField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required, 32, 32, '^[A-Fa-f0-9]+$', 'HashMD5')
+  }
+}
+
+export class MacField extends StringField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required, 17, 17, '^([A-Fa-f0-9]{2}:){5}[A-Fa-f0-9]{2}$', '00:00:00:00:00:00', '%%:%%:%%:%%:%%:%%', true)
+    this.mask_tokens = Mask.tokens
+  }
+}
+
+// endregion
+
+
+// region Network fields
+/**
+ * @returns {bigint|null} - returns an IPv4 address as a number, null if it is invalid (octets over 255, leading zeros)
+ */
+function parse_ipv4(text) {
+  let octets = text.split('.')
+  if (octets.length !== 4 || octets.some(o => !/^(0|[1-9]\d{0,2})$/.test(o) || Number(o) > 255)) return null
+
+  return octets.reduce((value, o) => (value << 8n) + BigInt(o), 0n)
+}
+
+/**
+ * Parses full and compressed IPv6 addresses, also with an IPv4 address in the last 32 bits (::ffff:1.2.3.4)
+ * @returns {bigint|null} - returns an IPv6 address as a number, null if it is invalid
+ */
+function parse_ipv6(text) {
+  let halves = text.split('::')
+  if (halves.length > 2) return null
+
+  let parse_groups = half => {
+    if (half === '') return []
+
+    let groups = half.split(':')
+    let last = groups[groups.length - 1]
+
+    if (last.includes('.')) {
+      let ipv4 = parse_ipv4(last)
+      if (ipv4 === null) return null
+      groups.splice(-1, 1, `${(ipv4 >> 16n).toString(16)}`, `${(ipv4 & 0xffffn).toString(16)}`)
+    }
+
+    return groups.every(g => /^[\da-f]{1,4}$/i.test(g)) ? groups : null
+  }
+
+  let head = parse_groups(halves[0])
+  let tail = halves.length === 2 ? parse_groups(halves[1]) : []
+  if (head === null || tail === null || (halves.length === 2 && halves[0].includes('.'))) return null
+
+  let missing = 8 - head.length - tail.length
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null
+
+  return [...head, ...Array(missing).fill('0'), ...tail].reduce((value, g) => (value << 16n) + BigInt(`0x${g}`), 0n)
+}
+
+function format_ipv4(value) {
+  return [24n, 16n, 8n, 0n].map(shift => `${(value >> shift) & 0xffn}`).join('.')
+}
+
+/**
+ * Formats an IPv6 address in the canonical form of RFC 5952: lowercase, without leading zeros,
+ * the longest run of zero groups is compressed to '::'
+ */
+function format_ipv6(value) {
+  if (value >> 32n === 0xffffn) return `::ffff:${format_ipv4(value & 0xffffffffn)}`
+
+  let groups = [112n, 96n, 80n, 64n, 48n, 32n, 16n, 0n].map(shift => ((value >> shift) & 0xffffn).toString(16))
+  let best = {start: -1, length: 1}
+
+  for (let i = 0; i < 8; i++) {
+    let length = 0
+    while (groups[i + length] === '0') length++
+    if (length > best.length) best = {start: i, length}
+  }
+
+  if (best.start === -1) return groups.join(':')
+
+  return `${groups.slice(0, best.start).join(':')}::${groups.slice(best.start + best.length).join(':')}`
+}
+
+/**
+ * @returns {{version: number, value: bigint, text: string}|null} - returns a parsed IPv4 or IPv6 address
+ * with its normalized text, null if it is invalid or of another version
+ */
+function parse_ip(text, version = null) {
+  if (typeof text !== 'string') return null
+
+  if (version !== 6) {
+    let value = parse_ipv4(text)
+    if (value !== null) return {version: 4, value, text: format_ipv4(value)}
+  }
+
+  if (version !== 4) {
+    let value = parse_ipv6(text)
+    if (value !== null) return {version: 6, value, text: format_ipv6(value)}
+  }
+
+  return null
+}
+
+/**
+ * Special ranges of addresses checked by allow_private, allow_loopback and allow_reserved
+ */
+const ip_ranges = [
+  ['10.0.0.0/8', 'private'],
+  ['172.16.0.0/12', 'private'],
+  ['192.168.0.0/16', 'private'],
+  ['100.64.0.0/10', 'private'],
+  ['fc00::/7', 'private'],
+  ['127.0.0.0/8', 'loopback'],
+  ['::1/128', 'loopback'],
+  ['0.0.0.0/8', 'reserved'],
+  ['169.254.0.0/16', 'reserved'],
+  ['192.0.0.0/24', 'reserved'],
+  ['192.0.2.0/24', 'reserved'],
+  ['198.18.0.0/15', 'reserved'],
+  ['198.51.100.0/24', 'reserved'],
+  ['203.0.113.0/24', 'reserved'],
+  ['224.0.0.0/3', 'reserved'],
+  ['::/128', 'reserved'],
+  ['100::/64', 'reserved'],
+  ['2001:db8::/32', 'reserved'],
+  ['fe80::/10', 'reserved'],
+  ['ff00::/8', 'reserved'],
+].map(([cidr, kind]) => {
+  let [address, prefix] = cidr.split('/')
+  return {...parse_ip(address), prefix: Number(prefix), kind}
+})
+
+/**
+ * @returns {boolean} - whether the address is in the network of the prefix
+ */
+function ip_in_network(ip, network, prefix) {
+  let shift = BigInt((ip.version === 4 ? 32 : 128) - prefix)
+  return ip.version === network.version && ip.value >> shift === network.value >> shift
+}
+
+/**
+ * @returns {string|null} - returns 'private', 'loopback' or 'reserved' for addresses of special ranges,
+ * IPv4-mapped IPv6 addresses are checked as IPv4
+ */
+function ip_range_kind(ip) {
+  if (ip.version === 6 && ip.value >> 32n === 0xffffn) {
+    ip = {version: 4, value: ip.value & 0xffffffffn}
+  }
+
+  let range = ip_ranges.find(r => ip_in_network(ip, r, r.prefix))
+  return range ? range.kind : null
+}
+
+/**
+ * IP address of the version (4, 6 or null for both), value_clear returns the normalized address
+ * (IPv6 in the compressed form). allow_private, allow_loopback and allow_reserved reject addresses of those ranges
+ */
+export class IpAddressField extends StringField {
+  constructor(default_value = '', is_required = true, version = null) {
+    super(default_value, is_required, null, null, '', version === 6 ? '2001:db8::1' : '4.5.6.7')
+    this.version = version
+    this.allow_private = true
+    this.allow_loopback = true
+    this.allow_reserved = true
+  }
+
+  /**
+   * @returns {{version: number, value: bigint, text: string}|null} - returns the parsed address
+   */
+  get address() {
+    return parse_ip(this._value, this.version)
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    super._checkValid()
+    if (!this.is_valid || this.value_is_empty) {
+      return
+    }
+
+    let error = this._check_address(this._value)
+
+    if (error) {
+      this.is_valid = false
+      this._set_valid_error(error.code, error.params)
+    }
+  }
+
+  /**
+   * @returns {{code: string, params: Object|undefined}|null} - returns an error of the value
+   */
+  _check_address(text) {
+    let ip = parse_ip(text, this.version)
+    return ip ? this._check_range(ip) : {code: 'example', params: {example: this.example}}
+  }
+
+  _check_range(ip) {
+    let kind = ip_range_kind(ip)
+    return kind && !this[`allow_${kind}`] ? {code: `ip_${kind}`} : null
+  }
+
+  _clear_value() {
+    let ip = this.address
+    return ip ? ip.text : super._clear_value()
+  }
+
+  /**
+   * Exports definition of the field to a JSON Schema
+   * @returns {Object}
+   */
+  to_json_schema() {
+    let schema = super.to_json_schema()
+    if (this.version) schema.format = `ipv${this.version}`
+    return schema
+  }
+}
+
+export class IpField extends IpAddressField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required, 4)
+  }
+}
+
+export class Ipv6Field extends IpAddressField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required, 6)
+  }
+}
+
+/**
+ * Network in CIDR notation (192.168.0.0/24, 2001:db8::/32). The prefix length is limited by min_prefix and max_prefix,
+ * with strict the address must not have host bits set (192.168.0.1/24 is rejected)
+ */
+export class CidrField extends IpAddressField {
+  constructor(default_value = '', is_required = true, version = null) {
+    super(default_value, is_required, version)
+    this.example = version === 6 ? '2001:db8::/32' : '192.168.0.0/24'
+    this.min_prefix = null
+    this.max_prefix = null
+    this.strict = true
+  }
+
+  /**
+   * @returns {{ip: Object, prefix: number}|null} - returns the parsed address and prefix length
+   */
+  get network() {
+    let [address, prefix, ...rest] = `${this._value || ''}`.split('/')
+    let ip = parse_ip(address, this.version)
+
+    let prefix_pattern = ip && ip.version === 4 ? /^(3[0-2]|[12]?\d)$/ : /^(12[0-8]|1[01]\d|[1-9]?\d)$/
+    if (!ip || rest.length || !prefix_pattern.test(prefix || '')) {
+      return null
+    }
+    return {ip, prefix: Number(prefix)}
+  }
+
+  _check_address() {
+    let network = this.network
+    if (!network) return {code: 'example', params: {example: this.example}}
+
+    let {ip, prefix} = network
+    let min_prefix = this.min_prefix == null ? 0 : this.min_prefix
+    let max_prefix = this.max_prefix == null ? (ip.version === 4 ? 32 : 128) : this.max_prefix
+
+    if (prefix < min_prefix || prefix > max_prefix) {
+      return {code: 'cidr_prefix', params: {min_prefix, max_prefix}}
+    }
+
+    let host_bits = BigInt((ip.version === 4 ? 32 : 128) - prefix)
+    let network_value = ip.value >> host_bits << host_bits
+
+    if (this.strict && network_value !== ip.value) {
+      let text = ip.version === 4 ? format_ipv4(network_value) : format_ipv6(network_value)
+      return {code: 'cidr_host_bits', params: {network: `${text}/${prefix}`}}
+    }
+
+    return this._check_range(ip)
+  }
+
+  _clear_value() {
+    let network = this.network
+    return network ? `${network.ip.text}/${network.prefix}` : StringField.prototype._clear_value.call(this)
+  }
+
+  to_json_schema() {
+    let schema = super.to_json_schema()
+    delete schema.format
+    return schema
+  }
+}
+
+const hostname_pattern = /^(?=.{1,253}$)([a-z\d]([a-z\d-]{0,61}[a-z\d])?)(\.[a-z\d]([a-z\d-]{0,61}[a-z\d])?)*$/i
+
+/**
+ * Host and port: 'example.com:8080', '10.0.0.1:22', '[2001:db8::1]:443'.
+ * The port is optional if require_port is false, hostnames are rejected if allow_hostname is false
+ */
+export class HostPortField extends IpAddressField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required)
+    this.example = 'example.com:8080'
+    this.require_port = true
+    this.allow_hostname = true
+  }
+
+  /**
+   * @returns {{host: string, port: (string|null), ip: (Object|null)}|null} - returns parts of the value
+   */
+  get host_port() {
+    let value = `${this._value || ''}`
+    let match = value.match(/^\[([^\]]+)](?::(\d*))?$/) || value.match(/^([^:\[\]]+)(?::(\d*))?$/)
+    if (!match) return null
+
+    let [, host, port = null] = match
+    let ip = parse_ip(host, value.startsWith('[') ? 6 : 4)
+
+    if (value.startsWith('[') && !ip) return null
+    return {host: ip ? ip.text : host.toLowerCase(), port, ip}
+  }
+
+  get host() {
+    let host_port = this.host_port
+    return host_port ? host_port.host : null
+  }
+
+  get port() {
+    let host_port = this.host_port
+    return host_port && host_port.port ? Number(host_port.port) : null
+  }
+
+  _check_address() {
+    let host_port = this.host_port
+    if (!host_port) return {code: 'example', params: {example: this.example}}
+
+    let {host, port, ip} = host_port
+    let is_hostname = !ip && hostname_pattern.test(host) && !/^\d+$/.test(host.split('.').pop())
+
+    if (!ip && (!is_hostname || !this.allow_hostname)) {
+      return {code: 'example', params: {example: this.example}}
+    }
+
+    if (port === null || port === '') {
+      if (this.require_port) return {code: 'port_required'}
+    } else if (!/^\d{1,5}$/.test(port) || Number(port) < 1 || Number(port) > 65535) {
+      return {code: 'port'}
+    }
+
+    return ip ? this._check_range(ip) : null
+  }
+
+  _clear_value() {
+    let host_port = this.host_port
+    if (!host_port) return StringField.prototype._clear_value.call(this)
+
+    let {host, ip} = host_port
+    let port = this.port
+    host = ip && ip.version === 6 ? `[${host}]` : host
+
+    return port === null ? host : `${host}:${port}`
+  }
+
+  to_json_schema() {
+    let schema = super.to_json_schema()
+    delete schema.format
+    return schema
+  }
+}
+
+// endregion
+
+
+// region Russian identifiers
+function control_sum(digits, weights) {
+  return weights.reduce((sum, weight, i) => sum + weight * Number(digits[i]), 0)
+}
+
+/**
+ * Identifier with a control number. The value without the mask is checked by _check_identifier() of subclasses
+ */
+export class IdentifierField extends StringField {
+  constructor(default_value = '', is_required = true, mask = '', example = '') {
+    super(default_value, is_required, null, null, '', example, mask)
+    this.mask_tokens = Mask.tokens
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    super._checkValid()
+    if (!this.is_valid || this.value_is_empty) {
+      return
+    }
+
+    let error = this._check_identifier(`${this._clear_value() || ''}`)
+
+    if (error) {
+      this.is_valid = false
+      this._set_valid_error(error.code, error.params)
+    }
+  }
+
+  /**
+   * @param {string} value - value without the mask
+   * @returns {{code: string, params: Object|undefined}|null} - returns an error of the identifier
+   * @protected
+   */
+  _check_identifier(value) {
+    return null
+  }
+}
+
+/**
+ * INN of an organization (10 digits, kind 'legal'), of a person (12 digits, kind 'individual') or of both (kind null)
+ */
+export class InnField extends IdentifierField {
+  constructor(default_value = '', is_required = true, kind = null) {
+    super(default_value, is_required, kind === 'legal' ? '##########' : '##########[##]', '7707083893')
+    this.kind = kind
+  }
+
+  _check_identifier(inn) {
+    let lengths = {legal: [10], individual: [12]}[this.kind] || [10, 12]
+
+    if (!/^\d+$/.test(inn) || !lengths.includes(inn.length)) {
+      return {code: this.kind ? `inn_${this.kind}_length` : 'inn_length'}
+    }
+
+    let check = (length, weights) => control_sum(inn, weights) % 11 % 10 === Number(inn[length - 1])
+    let is_valid = inn.length === 10
+      ? check(10, [2, 4, 10, 3, 5, 9, 4, 6, 8])
+      : check(11, [7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) && check(12, [3, 7, 2, 4, 10, 3, 5, 9, 4, 6, 8])
+
+    return is_valid ? null : {code: 'checksum'}
+  }
+}
+
+/**
+ * KPP: 4 digits of the tax office, 2 digits or capital letters of the reason, 3 digits of the number
+ */
+export class KppField extends IdentifierField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required, '####**###', '773601001')
+    this.input_transforms = ['upper']
+  }
+
+  _check_identifier(kpp) {
+    return /^\d{4}[\dA-Z]{2}\d{3}$/.test(kpp) ? null : {code: 'kpp_format'}
+  }
+}
+
+/**
+ * OGRN of an organization (13 digits, kind 'legal'), OGRNIP of an entrepreneur (15 digits, kind 'individual')
+ * or any of them (kind null)
+ */
+export class OgrnField extends IdentifierField {
+  constructor(default_value = '', is_required = true, kind = null) {
+    super(default_value, is_required, kind === 'legal' ? '#############' : '#############[##]', '1027700132195')
+    this.kind = kind
+  }
+
+  _check_identifier(ogrn) {
+    let lengths = {legal: [13], individual: [15]}[this.kind] || [13, 15]
+
+    if (!/^\d+$/.test(ogrn) || !lengths.includes(ogrn.length)) {
+      return {code: this.kind ? `ogrn_${this.kind}_length` : 'ogrn_length'}
+    }
+
+    let divider = ogrn.length === 13 ? 11n : 13n
+    let control = BigInt(ogrn.slice(0, -1)) % divider % 10n
+
+    return control === BigInt(ogrn.slice(-1)) ? null : {code: 'checksum'}
+  }
+}
+
+/**
+ * SNILS displayed as 112-233-445 95, the control number is not checked for numbers up to 001-001-998
+ */
+export class SnilsField extends IdentifierField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required, '###-###-### ##', '112-233-445 95')
+  }
+
+  _check_identifier(snils) {
+    if (!/^\d{11}$/.test(snils)) return {code: 'snils_length'}
+    if (Number(snils.slice(0, 9)) <= 1001998) return null
+
+    let sum = control_sum(snils, [9, 8, 7, 6, 5, 4, 3, 2, 1])
+    let control = sum < 100 ? sum : sum % 101 % 100
+
+    return control === Number(snils.slice(9)) ? null : {code: 'checksum'}
+  }
+}
+
+/**
+ * BIK of a Russian bank: 9 digits starting with 04
+ */
+export class BikField extends IdentifierField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required, '#########', '044525225')
+  }
+
+  _check_identifier(bik) {
+    return /^04\d{7}$/.test(bik) ? null : {code: 'bik_format'}
+  }
+}
+
+/**
+ * Settlement account of 20 digits, checked against the BIK of bik_field when it is filled.
+ * Is validated again when the BIK is changed
+ */
+export class BankAccountField extends IdentifierField {
+  constructor(bik_field = null, default_value = '', is_required = true) {
+    super(default_value, is_required, '####################', '40702810900000000001')
+    this.bik_field = bik_field
+
+    if (bik_field) this._revalidate_on_change(bik_field)
+  }
+
+  /**
+   * @returns {string} - returns digits of the BIK preceding the account in the control key
+   * @protected
+   */
+  _bik_key(bik) {
+    return bik.slice(-3)
+  }
+
+  _check_identifier(account) {
+    if (!/^\d{20}$/.test(account)) return {code: 'account_length'}
+
+    let bik = this.bik_field ? `${this.bik_field.value_clear || ''}` : ''
+    if (!/^\d{9}$/.test(bik)) return null
+
+    let key = `${this._bik_key(bik)}${account}`
+    let sum = control_sum(key, Array.from(key, (digit, i) => [7, 1, 3][i % 3]))
+
+    return sum % 10 === 0 ? null : {code: 'account_bik'}
+  }
+}
+
+/**
+ * Correspondent account of a bank: 20 digits starting with 301, checked against the BIK of bik_field
+ */
+export class CorrespondentAccountField extends BankAccountField {
+  constructor(bik_field = null, default_value = '', is_required = true) {
+    super(bik_field, default_value, is_required)
+    this.example = '30101810400000000225'
+  }
+
+  _bik_key(bik) {
+    return `0${bik.slice(4, 6)}`
+  }
+
+  _check_identifier(account) {
+    if (/^\d{20}$/.test(account) && !account.startsWith('301')) return {code: 'correspondent_account_prefix'}
+    return super._check_identifier(account)
+  }
+}
+
+// endregion
+
+
+// region NumberField
+const decimal_pattern = /^(-?)(\d*)(?:\.(\d*))?$/
+
+/**
+ * @returns {string} - returns a number as a string without exponent, other values as is
+ */
+function decimal_to_string(value) {
+  if (typeof value === 'number') {
+    return value.toLocaleString('en-US', {useGrouping: false, maximumFractionDigits: 20})
+  }
+  return `${value}`
+}
+
+function is_decimal(value) {
+  return decimal_pattern.test(value) && /\d/.test(value)
+}
+
+function count_decimal_places(value) {
+  let [, fraction = ''] = decimal_to_string(value).split('.')
+  return fraction.length
+}
+
+/**
+ * @returns {bigint} - returns a decimal as an integer scaled by 10 ** places, extra decimal places are dropped
+ */
+function scale_decimal(value, places) {
+  let [, sign, whole, fraction = ''] = decimal_to_string(value).match(decimal_pattern)
+  let digits = BigInt(`${whole}${fraction.padEnd(places, '0').slice(0, places)}` || '0')
+  return sign ? -digits : digits
+}
+
+/**
+ * Compares decimals exactly
+ * @returns {number} - -1, 0 or 1
+ */
+function compare_decimals(a, b) {
+  let places = Math.max(count_decimal_places(a), count_decimal_places(b))
+  let difference = scale_decimal(a, places) - scale_decimal(b, places)
+  return difference === 0n ? 0 : difference > 0n ? 1 : -1
+}
+
+/**
+ * Checks that value - base is a multiple of step, decimal values are compared as scaled integers
+ * @returns {boolean}
+ */
+function is_multiple_of(value, step, base = 0) {
+  let places = Math.max(count_decimal_places(value), count_decimal_places(step), count_decimal_places(base))
+  return (scale_decimal(value, places) - scale_decimal(base, places)) % scale_decimal(step, places) === 0n
+}
+
+/**
+ * Rounds a decimal string to the given number of decimal places
+ * @param {string|number} value
+ * @param {number} places
+ * @param {string} mode - 'half_up', 'half_down', 'half_even', 'up' (away from zero), 'down' (towards zero),
+ * 'ceil' or 'floor'
+ * @returns {string} - returns a normalized string with exactly places decimal places
+ */
+function round_decimal(value, places, mode = 'half_up') {
+  let [, sign, whole, fraction = ''] = decimal_to_string(value).match(decimal_pattern)
+  let digits = BigInt(`${whole}${fraction.padEnd(places, '0').slice(0, places)}` || '0')
+  let rest = fraction.slice(places)
+
+  let is_inexact = /[1-9]/.test(rest)
+  let is_half = /^50*$/.test(rest)
+  let is_above_half = rest[0] > '5' || (rest[0] === '5' && !is_half)
+
+  let rounding = {
+    'half_up': is_above_half || is_half,
+    'half_down': is_above_half,
+    'half_even': is_above_half || (is_half && digits % 2n === 1n),
+    'up': is_inexact,
+    'down': false,
+    'ceil': is_inexact && !sign,
+    'floor': is_inexact && !!sign,
+  }[mode]
+
+  if (rounding === undefined) {
+    throw new CustomError('RoundingError', `Unknown rounding mode: ${mode}`)
+  }
+  if (rounding) digits += 1n
+
+  let text = digits.toString().padStart(places + 1, '0')
+  let result = places ? `${text.slice(0, -places)}.${text.slice(-places)}` : text
+
+  return digits === 0n ? result : `${sign}${result}`
+}
+
+/**
+ * @returns {{group: string, decimal: string}} - returns the grouping and decimal separators of the locale
+ */
+function number_separators(locale) {
+  let parts = new Intl.NumberFormat(locale).formatToParts(11111.1)
+  let separator = type => (parts.find(part => part.type === type) || {}).value
+
+  return {group: separator('group') || '', decimal: separator('decimal') || '.'}
+}
+
+/**
+ * Signed integer. min and max are inclusive unless exclusive_min or exclusive_max is set,
+ * step requires values to be multiples of it counted from min (or from 0)
+ */
+export class NumberField extends FormField {
+  constructor(default_value = null, is_required = true, min = null, max = null, example = 'integer') {
+    super(default_value, is_required)
+    this.min = min
+    this.max = max
+    this.exclusive_min = false
+    this.exclusive_max = false
+    this.step = null
+    this.example = example
+  }
+
+  _check_number_match() {
+    if (!this._value.toString().match('^-?\\d+$')) {
+      this.is_valid = false
+      this._set_valid_error('example', {example: this.example})
+    }
+  }
+
+  _check_valid_number() {
+    if (this.value_is_empty && !this.is_required) {
+      return
+    }
+
+    if (typeof this._value === 'number' && !Number.isFinite(this._value)) {
+      this.is_valid = false
+      this._set_valid_error('not_finite')
+      return
+    }
+
+    if (typeof this._value !== "number") {
+      if (typeof this._value !== "string") {
+        this.is_valid = false
+        this._set_valid_error('example', {example: this.example})
+      } else {
+        if (this._value === '' && this.is_required) {
+          this.is_valid = false
+          return
+        }
+
+        this._check_number_match()
+      }
+    }
+
+    if (this.is_valid) {
+      this._set_valid_error(null)
+    }
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    super._checkValid()
+    if (!this.is_valid || (this.value_is_empty && !this.value_is_zero)) {
+      return
+    }
+
+    this._check_valid_number()
+    if (!this.is_valid) {
+      return
+    }
+
+    let value = this._value
+    let to_min = this.min == null ? null : compare_decimals(value, this.min)
+    let to_max = this.max == null ? null : compare_decimals(value, this.max)
+
+    if (to_min !== null && (to_min < 0 || (this.exclusive_min && to_min === 0))) {
+      this.is_valid = false
+      this._set_valid_error(this.exclusive_min ? 'min_exclusive' : 'min', {min: this.min})
+    } else if (to_max !== null && (to_max > 0 || (this.exclusive_max && to_max === 0))) {
+      this.is_valid = false
+      this._set_valid_error(this.exclusive_max ? 'max_exclusive' : 'max', {max: this.max})
+    } else if (this.step && !is_multiple_of(value, this.step, this.min || 0)) {
+      this.is_valid = false
+      this._set_valid_error('step', {step: this.step})
+    }
+  }
+
+  /**
+   * @returns {null|number|*} - returns the value as a number, the value as is if it is not a number
+   */
+  _clear_value() {
+    if (this.value_is_empty) return null
+
+    let value = Number(this._value)
+    return typeof this._value === 'string' && isNaN(value) ? this._value : value
+  }
+
+  /**
+   * Exports definition of the field to a JSON Schema
+   * @returns {Object}
+   */
+  to_json_schema() {
+    let schema = {type: 'integer', ...super.to_json_schema()}
+
+    if (this.min != null) schema[this.exclusive_min ? 'exclusiveMinimum' : 'minimum'] = this.min
+    if (this.max != null) schema[this.exclusive_max ? 'exclusiveMaximum' : 'maximum'] = this.max
+    if (this.step) schema.multipleOf = this.step
+
+    return schema
+  }
+}
+
+/**
+ * Decimal kept as an exact string: input is parsed and displayed with the separators of the locale
+ * (locale, else CRFormData.locale), value_clear returns a normalized string like '-1234.50'.
+ * Extra decimal places are an error unless the rounding mode is set, null decimal_places and max_digits are not limited
+ */
+export class DecimalField extends NumberField {
+  constructor(default_value = null, is_required = true, min = null, max = null,
+              decimal_places = 2, max_digits = 8) {
+    super(default_value, is_required, min, max, 'decimal')
+    this.decimal_places = decimal_places
+    this.max_digits = max_digits
+    this.locale = null
+    this.rounding = null
+  }
+
+  /**
+   * @returns {{group: string, decimal: string}}
+   */
+  get separators() {
+    return number_separators(this.locale || CRFormData.locale)
+  }
+
+  /**
+   * Converts user input to a decimal string with the dot as the decimal separator, keeps unparseable input as is.
+   * Group separators (and spaces) are accepted only between groups of 3 digits of the whole part
+   * @protected
+   */
+  _parse_input(value) {
+    if (typeof value === 'number') return decimal_to_string(value)
+    if (typeof value !== 'string') return value
+
+    let {group, decimal} = this.separators
+    let [whole, ...fraction] = value.trim().replace(/\u2212/g, '-').split(decimal)
+    let separator = group && !/\s/.test(group) ? `(?:${group.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}|\\s)` : '\\s'
+
+    if (fraction.length > 1) return value
+
+    if (new RegExp(separator).test(whole)) {
+      if (!new RegExp(`^-?\\d{1,3}(${separator}\\d{3})+$`).test(whole)) return value
+      whole = whole.replace(new RegExp(separator, 'g'), '')
+    }
+
+    return fraction.length ? `${whole}.${fraction[0]}` : whole
+  }
+
+  _check_number_match() {
+    if (!is_decimal(decimal_to_string(this._value))) {
+      this.is_valid = false
+      this._set_valid_error('example', {example: this.example})
+    }
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    super._checkValid()
+    if (!this.is_valid || this.value_is_empty) {
+      return
+    }
+
+    let dec_str = decimal_to_string(this._value)
+    if (this.rounding && this.decimal_places != null) dec_str = round_decimal(dec_str, this.decimal_places, this.rounding)
+
+    let dec_parts = dec_str.replace(/^-/, '').split('.')
+    let p1 = dec_parts[0].replace(/^0+/, '')
+    let max_whole_digits = this.max_digits == null ? null : this.max_digits - (this.decimal_places || 0)
+
+    if (max_whole_digits != null && p1.length > max_whole_digits) {
+      this.is_valid = false
+      this._set_valid_error('max_whole_digits', {max_whole_digits})
+    }
+
+    if (dec_parts.length === 2) {
+      let p2 = dec_parts[1]
+
+      if (this.max_digits != null && p1.length + p2.length > this.max_digits) {
+        this.is_valid = false
+        this._set_valid_error('max_digits', {max_digits: this.max_digits})
+      } else {
+        if (p2.length === 0) {
+          this.is_valid = false
+          this._set_valid_error('empty_decimal_places')
+        } else if (this.decimal_places != null && p2.length > this.decimal_places) {
+          this.is_valid = false
+          this._set_valid_error('max_decimal_places', {decimal_places: this.decimal_places})
+        }
+      }
+    }
+  }
+
+  /**
+   * Exports definition of the field to a JSON Schema, max_digits is exported as the x-max-digits extension
+   * @returns {Object}
+   */
+  to_json_schema() {
+    let schema = {
+      ...(this.decimal_places == null ? {} : {multipleOf: Number(`1e-${this.decimal_places}`)}),
+      ...super.to_json_schema(),
+      type: 'number',
+    }
+
+    if (this.max_digits != null) schema['x-max-digits'] = this.max_digits
+
+    if (typeof schema.default === 'string') schema.default = Number(schema.default)
+    return schema
+  }
+
+  /**
+   * Values in a query string use the dot as the decimal separator
+   * @protected
+   */
+  _parse_query(value) {
+    return typeof value === 'string' ? value.replace('.', this.separators.decimal) : super._parse_query(value)
+  }
+
+  /**
+   * Rounds the value to decimal_places with the rounding mode of the field (half_up if it is not set)
+   */
+  round() {
+    let value = decimal_to_string(this._value)
+    if (!this.value_is_empty && is_decimal(value) && this.decimal_places != null) {
+      this.value = round_decimal(value, this.decimal_places, this.rounding || 'half_up')
+    }
+  }
+
+  /**
+   * @returns {null|string|*} - returns a decimal string padded to decimal_places, rounded only with rounding set,
+   * the value as is if it is not a number
+   */
+  _clear_value() {
+    if (this.value_is_empty) return null
+
+    let value = decimal_to_string(this._value)
+    if (!is_decimal(value)) return this._value
+    if (this.decimal_places == null) return value
+    if (!this.rounding && count_decimal_places(value) > this.decimal_places) return value
+
+    return round_decimal(value, this.decimal_places, this.rounding || 'half_up')
+  }
+
+  /**
+   * @returns {null|number|string|*} - returns integers as numbers, the entered string when a number would lose digits
+   */
+  get value() {
+    if (/^-?\d+\.$/.test(this._value) || !this._value) {
+      return this._value
+    } else if (!/^-?\d+$/.test(this._value) || typeof this._value == "number") {
+      return this._value
+    } else {
+      return Number.isSafeInteger(Number(this._value)) ? Number(this._value) : this._value
+    }
+  }
+
+  /**
+   * @returns {null|string|*} - returns the value formatted with the separators of the locale
+   */
+  get display_value() {
+    let value = decimal_to_string(this._value)
+    if (this.value_is_empty || !is_decimal(value)) return this._value
+
+    let {group, decimal} = this.separators
+    let [, sign, whole, fraction] = value.match(decimal_pattern)
+
+    whole = whole.replace(/\B(?=(\d{3})+$)/g, group)
+    return `${sign}${whole}${fraction === undefined ? '' : `${decimal}${fraction}`}`
+  }
+
+  set value(value) {
+    super.value = value
+  }
+
+  _format_input(value) {
+    return super._format_input(this._parse_input(value))
+  }
+}
+
+// endregion
+
+
+// region Payment fields
+/**
+ * Card brands: prefixes are digits or inclusive ranges ('2221-2720'), the longest matching prefix wins
+ */
+const card_brands = [
+  {brand: 'visa', name: 'Visa', prefixes: ['4'], lengths: [13, 16, 19], cvc_length: 3},
+  {brand: 'mastercard', name: 'Mastercard', prefixes: ['51-55', '2221-2720'], lengths: [16], cvc_length: 3},
+  {brand: 'mir', name: 'Mir', prefixes: ['2200-2204'], lengths: [16, 17, 18, 19], cvc_length: 3},
+  {brand: 'amex', name: 'American Express', prefixes: ['34', '37'], lengths: [15], cvc_length: 4, mask: '#### ###### #####'},
+  {brand: 'diners', name: 'Diners Club', prefixes: ['300-305', '36', '38', '39'], lengths: [14, 16, 19], cvc_length: 3},
+  {brand: 'discover', name: 'Discover', prefixes: ['6011', '644-649', '65'], lengths: [16, 19], cvc_length: 3},
+  {brand: 'jcb', name: 'JCB', prefixes: ['3528-3589'], lengths: [16, 17, 18, 19], cvc_length: 3},
+  {brand: 'unionpay', name: 'UnionPay', prefixes: ['62'], lengths: [16, 17, 18, 19], cvc_length: 3},
+  {brand: 'maestro', name: 'Maestro', prefixes: ['50', '56-58', '63', '67'], lengths: [12, 13, 14, 15, 16, 17, 18, 19], cvc_length: 3},
+]
+
+const card_default_mask = '#### #### #### ####[ ###]'
+
+/**
+ * @returns {number} - returns the length of the prefix if the digits start with it, 0 otherwise
+ */
+function card_prefix_length(digits, prefix) {
+  let [from, to = from] = prefix.split('-')
+  let start = digits.slice(0, from.length)
+
+  if (start.length < from.length) return 0
+  return Number(start) >= Number(from) && Number(start) <= Number(to) ? from.length : 0
+}
+
+/**
+ * @param {string} digits - digits of a card number
+ * @returns {Object|null} - brand of the card number from CardNumberField.brands
+ */
+function find_card_brand(digits) {
+  let result = null
+  let result_length = 0
+
+  for (let info of CardNumberField.brands) {
+    let length = Math.max(0, ...info.prefixes.map(prefix => card_prefix_length(digits, prefix)))
+
+    if (length > result_length) {
+      result = info
+      result_length = length
+    }
+  }
+
+  return result
+}
+
+function luhn_is_valid(digits) {
+  let sum = 0
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i])
+    if (i % 2) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2
+    sum += digit
+  }
+
+  return sum % 10 === 0
+}
+
+/**
+ * Lengths of IBAN by the country code
+ */
+const iban_lengths = {
+  AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22, BH: 22, BR: 29, BY: 28, CH: 21, CR: 22, CY: 28,
+  CZ: 24, DE: 22, DK: 18, DO: 28, EE: 20, EG: 29, ES: 24, FI: 18, FO: 18, FR: 27, GB: 22, GE: 22, GI: 23, GL: 18,
+  GR: 27, GT: 28, HR: 21, HU: 28, IE: 22, IL: 23, IQ: 23, IS: 26, IT: 27, JO: 30, KW: 30, KZ: 20, LB: 28, LI: 21,
+  LT: 20, LU: 20, LV: 21, MC: 27, MD: 24, ME: 22, MK: 19, MR: 27, MT: 31, MU: 30, NL: 18, NO: 15, PK: 24, PL: 28,
+  PS: 29, PT: 25, QA: 29, RO: 24, RS: 22, RU: 33, SA: 24, SE: 24, SI: 19, SK: 24, SM: 27, TN: 24, TR: 26, UA: 29,
+  VA: 22, VG: 24, XK: 20,
+}
+
+/**
+ * Currencies whose minor units differ from 2 (ISO 4217)
+ */
+const currency_minor_units = {
+  BHD: 3, BIF: 0, CLF: 4, CLP: 0, DJF: 0, GNF: 0, IQD: 3, ISK: 0, JOD: 3, JPY: 0, KMF: 0, KRW: 0, KWD: 3, LYD: 3,
+  OMR: 3, PYG: 0, RWF: 0, TND: 3, UGX: 0, UYI: 0, UYW: 4, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+}
+
+/**
+ * @returns {boolean} - whether the code is a known ISO 4217 currency, any three capital letters without Intl support
+ */
+function is_currency(code) {
+  if (!/^[A-Z]{3}$/.test(code)) return false
+  if (code in MoneyField.minor_units || typeof Intl.supportedValuesOf !== 'function') return true
+
+  return Intl.supportedValuesOf('currency').includes(code)
+}
+
+/**
+ * Payment card number with the Luhn check. The brand is detected by the prefix and selects the mask and the lengths,
+ * value_clear returns digits
+ */
+export class CardNumberField extends StringField {
+  static brands = card_brands
+
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required, null, null, '', '4111 1111 1111 1111', card_default_mask)
+    this.mask_tokens = Mask.tokens
+    this.allowed_brands = null
+  }
+
+  /**
+   * @returns {Object|null} - brand of the value from CardNumberField.brands
+   */
+  get card_brand() {
+    return find_card_brand(`${this._value || ''}`.replace(/\D/g, ''))
+  }
+
+  /**
+   * @returns {string|null} - code of the brand of the value: 'visa', 'mastercard', 'mir'...
+   */
+  get brand() {
+    let info = this.card_brand
+    return info ? info.brand : null
+  }
+
+  /**
+   * Selects the mask of the brand of the typed value before it is formatted
+   * @protected
+   */
+  _format_input(value) {
+    if (typeof value === 'string') {
+      let info = find_card_brand(value.replace(/\D/g, ''))
+      this.mask = info && info.mask ? info.mask : card_default_mask
+    }
+
+    return super._format_input(value)
+  }
+
+  /**
+   * @returns {null|string} - returns digits of the card number
+   */
+  _clear_value() {
+    let digits = `${this._value || ''}`.replace(/\D/g, '')
+    return digits || null
+  }
+
+  to_json_schema() {
+    return {...super.to_json_schema(), pattern: '^\\d{12,19}$', examples: ['4111111111111111']}
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    super._checkValid()
+    if (!this.is_valid || this.value_is_empty) {
+      return
+    }
+
+    let digits = this._clear_value() || ''
+    let info = find_card_brand(digits)
+
+    if (this.allowed_brands && !info) {
+      this.is_valid = false
+      this._set_valid_error('card_brand_unknown')
+    } else if (this.allowed_brands && !this.allowed_brands.includes(info.brand)) {
+      this.is_valid = false
+      this._set_valid_error('card_brand_not_allowed', {brand: info.name})
+    } else if (!(info ? info.lengths : [12, 13, 14, 15, 16, 17, 18, 19]).includes(digits.length)) {
+      this.is_valid = false
+      this._set_valid_error('card_length')
+    } else if (!luhn_is_valid(digits)) {
+      this.is_valid = false
+      this._set_valid_error('card_invalid')
+    }
+  }
+}
+
+/**
+ * Expiry date of a card as MM/YY (or MM/YYYY), the card is valid until the end of the month in the zone of CRFormData.
+ * value_clear returns YYYY-MM
+ */
+export class CardExpiryField extends StringField {
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required, null, null, '', '12/30', '##/##[##]', true)
+    this.mask_tokens = Mask.tokens
+    this.max_years = 20
+  }
+
+  /**
+   * @returns {{month: number, year: number}|null} - month and full year of the value
+   */
+  get expiry() {
+    let match = `${this._value || ''}`.match(/^(\d{2})\/(\d{2}|\d{4})$/)
+    if (!match || Number(match[1]) < 1 || Number(match[1]) > 12) return null
+
+    let year = Number(match[2])
+    return {month: Number(match[1]), year: match[2].length === 2 ? 2000 + year : year}
+  }
+
+  /**
+   * @returns {DateTime|null} - the last moment when the card is valid
+   */
+  get expires_at() {
+    let expiry = this.expiry
+    return expiry ? DateTime.fromObject(expiry, {zone: CRFormData.zone || 'local'}).endOf('month') : null
+  }
+
+  /**
+   * @returns {null|string} - returns YYYY-MM, the value as is if it is not a valid expiry date
+   */
+  _clear_value() {
+    if (this.value_is_empty) return null
+
+    let expiry = this.expiry
+    return expiry ? `${expiry.year}-${`${expiry.month}`.padStart(2, '0')}` : this._value
+  }
+
+  to_json_schema() {
+    return {...super.to_json_schema(), pattern: '^\\d{4}-(0[1-9]|1[0-2])$', examples: ['2030-12']}
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    super._checkValid()
+    if (!this.is_valid || this.value_is_empty) {
+      return
+    }
+
+    let expires_at = this.expires_at
+    let now = DateTime.now().setZone(CRFormData.zone || 'local')
+    let max = this.max_years == null ? null : now.plus({years: this.max_years}).endOf('month')
+
+    if (!expires_at) {
+      this.is_valid = false
+      this._set_valid_error('example', {example: this.example})
+    } else if (expires_at < now) {
+      this.is_valid = false
+      this._set_valid_error('card_expired')
+    } else if (max && expires_at > max) {
+      this.is_valid = false
+      this._set_valid_error('max_date', {max: max.toFormat('MM/yy')})
+    }
+  }
+}
+
+/**
+ * Security code of a card, its length is taken from the brand of card_field (3 or 4 digits without it).
+ * Is validated again when the card number is changed
+ */
+export class CvcField extends StringField {
+  constructor(card_field = null, default_value = '', is_required = true) {
+    super(default_value, is_required, null, null, '', '123', '###[#]')
+    this.mask_tokens = Mask.tokens
+    this.card_field = card_field
+
+    if (card_field) this._revalidate_on_change(card_field)
+  }
+
+  /**
+   * @returns {number[]} - allowed lengths of the code
+   */
+  get cvc_lengths() {
+    let info = this.card_field ? this.card_field.card_brand : null
+    return info ? [info.cvc_length] : [3, 4]
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    super._checkValid()
+    if (!this.is_valid || this.value_is_empty) {
+      return
+    }
+
+    let lengths = this.cvc_lengths
+
+    if (!/^\d+$/.test(this._value) || !lengths.includes(this._value.length)) {
+      this.is_valid = false
+      this._set_valid_error('cvc_length', {length: lengths.join('-')})
+    }
+  }
+}
+
+/**
+ * IBAN with the mod-97 check, displayed in groups of 4 characters, value_clear returns the electronic format
+ */
+export class IbanField extends StringField {
+  static lengths = iban_lengths
+
+  constructor(default_value = '', is_required = true) {
+    super(default_value, is_required, null, null, '', 'DE89 3704 0044 0532 0130 00',
+      '****[ **** **** **** **** **** **** **** **]')
+    this.mask_tokens = Mask.tokens
+    this.input_transforms = ['upper']
+    this.allowed_countries = null
+  }
+
+  /**
+   * @returns {string|null} - ISO 3166-1 code of the country of the value
+   */
+  get country() {
+    let iban = this._clear_value()
+    return iban && /^[A-Z]{2}/.test(iban) ? iban.slice(0, 2) : null
+  }
+
+  to_json_schema() {
+    return {...super.to_json_schema(), pattern: '^[A-Z]{2}\\d{2}[A-Z\\d]{1,30}$', examples: ['DE89370400440532013000']}
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    super._checkValid()
+    if (!this.is_valid || this.value_is_empty) {
+      return
+    }
+
+    let iban = this._clear_value() || ''
+    let country = iban.slice(0, 2)
+    let length = IbanField.lengths[country]
+
+    if (!/^[A-Z]{2}\d{2}[A-Z\d]{1,30}$/.test(iban)) {
+      this.is_valid = false
+      this._set_valid_error('iban_format')
+    } else if (this.allowed_countries && !this.allowed_countries.includes(country)) {
+      this.is_valid = false
+      this._set_valid_error('iban_country_not_allowed', {country})
+    } else if (length && iban.length !== length) {
+      this.is_valid = false
+      this._set_valid_error('iban_length', {country, length})
+    } else {
+      let number = `${iban.slice(4)}${iban.slice(0, 4)}`.replace(/[A-Z]/g, char => char.charCodeAt(0) - 55)
+
+      if (BigInt(number) % 97n !== 1n) {
+        this.is_valid = false
+        this._set_valid_error('checksum')
+      }
+    }
+  }
+}
+
+/**
+ * Amount in a currency with ISO 4217 code, decimal_places follows the minor units of the currency.
+ * Accepts an amount or {amount, currency}, value_clear returns {amount, currency}
+ */
+export class MoneyField extends DecimalField {
+  static minor_units = currency_minor_units
+
+  constructor(default_value = null, is_required = true, currency = 'RUB', min = null, max = null) {
+    super(default_value, is_required, min, max, 2, 15)
+    this.currencies = null
+    this.currency = currency
+  }
+
+  /**
+   * @returns {string|null} - ISO 4217 code of the currency
+   */
+  get currency() {
+    return this._currency
+  }
+
+  /**
+   * Sets the currency and decimal_places by its minor units
+   * @param {string|null} currency
+   */
+  set currency(currency) {
+    this._currency = currency ? `${currency}`.toUpperCase() : null
+
+    if (is_currency(this._currency)) {
+      let minor_units = MoneyField.minor_units[this._currency]
+      this.decimal_places = minor_units === undefined ? 2 : minor_units
+    }
+  }
+
+  get value() {
+    return super.value
+  }
+
+  set value(value) {
+    if (value !== null && typeof value === 'object' && ('amount' in value || 'currency' in value)) {
+      if ('currency' in value) this.currency = value.currency
+      value = 'amount' in value ? value.amount : this._value
+    }
+
+    super.value = value
+  }
+
+  /**
+   * @returns {string|null} - returns the amount formatted with the currency for the locale: '1 234,50 ₽'
+   */
+  get formatted() {
+    let value = decimal_to_string(this._value)
+    if (this.value_is_empty || !is_decimal(value) || !is_currency(this.currency)) return this.value
+
+    return new Intl.NumberFormat(this.locale || CRFormData.locale, {
+      style: 'currency',
+      currency: this.currency,
+      minimumFractionDigits: this.decimal_places,
+      maximumFractionDigits: this.decimal_places,
+    }).format(round_decimal(value, this.decimal_places, this.rounding || 'half_up'))
+  }
+
+  /**
+   * @returns {null|{amount: string, currency: string}} - returns the normalized amount with the currency
+   */
+  _clear_value() {
+    let amount = super._clear_value()
+    return amount === null ? null : {amount, currency: this.currency}
+  }
+
+  /**
+   * Values in a query string are amounts or money[amount] and money[currency]
+   * @protected
+   */
+  _parse_query(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) return super._parse_query(value)
+
+    let money = {}
+    if (typeof value.amount === 'string') money.amount = super._parse_query(value.amount)
+    if (typeof value.currency === 'string') money.currency = value.currency
+
+    return Object.keys(money).length ? money : undefined
+  }
+
+  /**
+   * Exports definition of the field to a JSON Schema as an object of the amount and the currency with the x-money mark
+   * @returns {Object}
+   */
+  to_json_schema() {
+    let {default: default_value, ...amount} = super.to_json_schema()
+    let schema = {
+      type: 'object',
+      properties: {amount, currency: {type: 'string', enum: this.currencies || [this.currency]}},
+      required: ['amount', 'currency'],
+      'x-money': true,
+    }
+
+    if (default_value !== undefined) schema.default = {amount: default_value, currency: this.currency}
+    return schema
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    super._checkValid()
+    if (this.value_is_empty) {
+      return
+    }
+
+    let error = null
+    if (!this.currency) {
+      error = {code: 'currency_required', params: {}}
+    } else if (!is_currency(this.currency)) {
+      error = {code: 'currency_invalid', params: {currency: this.currency}}
+    } else if (this.currencies && !this.currencies.includes(this.currency)) {
+      error = {code: 'currency_not_allowed', params: {currency: this.currency}}
+    }
+
+    if (error) {
+      this.is_valid = false
+      this.add_error(error, 'client')
+    }
+  }
+}
+
+// endregion
+
+
+// region SelectField
+export class SelectField extends FormField {
+  constructor(default_value = 0, is_required = true, min = 1, options = null) {
+    super(default_value, is_required)
+    this.min = min
+    this.options = options
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    super._checkValid()
+    if (!this.is_valid) {
+      return
+    }
+
+    if ((this.value_is_empty && !this.value_is_zero) || this._value < this.min) {
+      this.is_valid = !this.is_required
+    } else {
+      this.is_valid = true
+    }
+
+    if (this.is_valid) {
+      this._set_valid_error(null)
+    } else {
+      this._set_valid_error('select_required')
+      return
+    }
+
+    if (this.options && !this.value_is_empty && !this.options.includes(this._value)) {
+      this.is_valid = false
+      this._set_valid_error('one_of')
+    }
+  }
+
+  /**
+   * Exports definition of the field to a JSON Schema
+   * @returns {Object}
+   */
+  to_json_schema() {
+    let schema = super.to_json_schema()
+    if (this.options) schema.enum = this.options
+    return schema
+  }
+
+  /**
+   * Query values are matched with the options, numeric ids are converted to numbers
+   * @protected
+   */
+  _parse_query(value) {
+    if (typeof value !== 'string') return super._parse_query(value)
+
+    let option = (this.options || []).find(o => `${o}` === value)
+    if (option !== undefined) return option
+
+    return /^-?\d+$/.test(value) ? Number(value) : value
+  }
+
+  /**
+   * @returns {null|*} - returns a cleared value, typically used for sending to the server
+   */
+  _clear_value() {
+    let value = this._value
+
+    if (!this.is_required && (this.value_is_zero || this.value_is_empty)) {
+      value = null
+    }
+
+    return value
+  }
+}
+
+export class SelectObjectField extends FormField {
+  constructor(default_value = {}, is_required = true, returned_key = '') {
+    super(default_value, is_required)
+    this.returned_key = returned_key
+  }
+
+  check_returned_key() {
+    if (!Object.keys(this._value).includes(this.returned_key)) {
+      throw new FieldError(`${this.returned_key}`)
+    }
+  }
+
+  get returned_value() {
+    return this._value[this.returned_key]
+  }
+
+  /**
+   * Values in a query string are values of returned_key
+   * @protected
+   */
+  _parse_query(value) {
+    return typeof value === 'string' ? {[this.returned_key]: value} : undefined
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    super._checkValid()
+    if (!this.is_valid) {
+      return
+    }
+
+    this.check_returned_key()
+
+    if (this.is_required && this.value_is_empty) {
+      this.is_valid = false
+      this._set_valid_error('select_required')
+    } else {
+      this.is_valid = true
+      this._set_valid_error(null)
+    }
+
+    if (this.filed_value_is_empty(this.returned_value)) {
+      console.warn('Returned key field value is empty')
+    }
+  }
+
+  get value() {
+    return this._value
+  }
+
+  set value(value) {
+    this._value = this._format_input(transform_value(value, this.input_transforms, this))
+    this.is_changed = this.is_dirty
+    if (!this.value_is_empty) this._validate()
+    this._emit('change', this._value, this)
+    this._emit('validate', this.is_valid, this)
+    this._schedule_async_check()
+  }
+
+  /**
+   * @returns {null|*} - returns a cleared value, typically used for sending to the server
+   */
+  _clear_value() {
+    this.check_returned_key()
+
+    let value = null
+
+    if (!this.value_is_empty) {
+      value = this.returned_value
+    }
+
+    return value
+  }
+}
+
+/**
+ * Array of selected ids or of objects with the id in returned_key.
+ * options is an optional list of allowed ids (or of objects with the id in returned_key)
+ */
+export class MultiSelectField extends FormField {
+  constructor(default_value = [], is_required = true, returned_key = '', options = null) {
+    super(default_value, is_required)
+    this.returned_key = returned_key
+    this.options = options
+    this.min_selected = null
+    this.max_selected = null
+  }
+
+  /**
+   * @returns {*} - returns the id of an item, the item itself if it is not an object
+   */
+  _key(item) {
+    if (typeof item !== 'object' || item === null) return item
+
+    if (!Object.keys(item).includes(this.returned_key)) {
+      throw new FieldError(`${this.returned_key}`)
+    }
+    return item[this.returned_key]
+  }
+
+  /**
+   * @returns {Array} - returns ids of the selected items
+   */
+  get returned_value() {
+    return (this._value || []).map(item => this._key(item))
+  }
+
+  /**
+   * @returns {boolean} - whether the item (or an item with the same id) is selected
+   */
+  is_selected(item) {
+    return this.returned_value.includes(this._key(item))
+  }
+
+  /**
+   * Selects the item if it is not selected, otherwise removes it from the value
+   */
+  toggle(item) {
+    let key = this._key(item)
+    let value = this._value || []
+
+    this.value = this.is_selected(item) ? value.filter(i => this._key(i) !== key) : [...value, item]
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
    */
   _checkValid() {
-    if (this.value_is_empty) {
-      this.is_valid = !this.is_required
+    super._checkValid()
+    if (!this.is_valid || this.value_is_empty) {
+      if (!this.is_valid) this._set_valid_error('select_required')
+      return
+    }
+
+    let keys = this.returned_value
+    let options = this.options && this.options.map(option => this._key(option))
+
+    if (new Set(keys).size !== keys.length) {
+      this.is_valid = false
+      this._set_valid_error('duplicates')
+    } else if (options && keys.some(key => !options.includes(key))) {
+      this.is_valid = false
+      this._set_valid_error('one_of')
+    } else if (this.min_selected != null && keys.length < this.min_selected) {
+      this.is_valid = false
+      this._set_valid_error('min_selected', {min_selected: this.min_selected})
+    } else if (this.max_selected != null && keys.length > this.max_selected) {
+      this.is_valid = false
+      this._set_valid_error('max_selected', {max_selected: this.max_selected})
+    }
+  }
+
+  /**
+   * Exports definition of the field to a JSON Schema
+   * @returns {Object}
+   */
+  to_json_schema() {
+    let schema = {type: 'array', ...super.to_json_schema(), uniqueItems: true}
+
+    if (this.options) schema.items = {enum: this.options.map(option => this._key(option))}
+    if (this.min_selected != null) schema.minItems = this.min_selected
+    if (this.max_selected != null) schema.maxItems = this.max_selected
+
+    return schema
+  }
+
+  /**
+   * Query values are matched with the ids of the options, a value of the 'comma' array format is split
+   * @protected
+   */
+  _parse_query(value, options = {}) {
+    let values = [].concat(value === null || value === undefined ? [] : value).filter(v => typeof v === 'string')
+    if (options.array_format === 'comma') values = values.flatMap(v => `${v}`.split(',')).filter(v => v)
+
+    return values.map(v => {
+      let option = (this.options || []).find(o => `${this._key(o)}` === `${v}`)
+      return option === undefined ? v : option
+    })
+  }
+
+  get value() {
+    return this._value
+  }
+
+  set value(value) {
+    super.value = value == null ? [] : [...value]
+  }
+
+  /**
+   * @returns {Array} - returns ids of the selected items, typically used for sending to the server
+   */
+  _clear_value() {
+    return this.returned_value
+  }
+}
+
+// endregion
+
+
+// region FileField
+function is_blob(value) {
+  return typeof Blob !== 'undefined' && value instanceof Blob
+}
+
+/**
+ * @returns {string} - returns the size in bytes formatted with the largest fitting unit of the current locale
+ */
+function format_file_size(size) {
+  let units = ['byte', 'kilobyte', 'megabyte', 'gigabyte']
+  let unit = 0
+
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024
+    unit++
+  }
+
+  return new Intl.NumberFormat(CRFormData.locale, {
+    style: 'unit',
+    unit: units[unit],
+    unitDisplay: 'short',
+    maximumFractionDigits: 1,
+  }).format(size)
+}
+
+/**
+ * Reads dimensions of an image with createImageBitmap, returns null where it is not available
+ * @param {Blob} file
+ * @returns {Promise<{width: number, height: number}|null>}
+ */
+async function read_image_size(file) {
+  if (typeof createImageBitmap === 'undefined') return null
+
+  let bitmap = await createImageBitmap(file)
+  let size = {width: bitmap.width, height: bitmap.height}
+  bitmap.close()
+
+  return size
+}
+
+/**
+ * File input: a File (Blob) or, with multiple, an array of them (a FileList is converted to an array).
+ * accept is a list of MIME types ('image/*', 'application/pdf') and extensions ('.pdf') like the accept attribute.
+ * Dimensions of images are checked by check_valid_async() with image_reader(file) resolving to {width, height}
+ */
+export class FileField extends FormField {
+  constructor(default_value = null, is_required = true, multiple = false) {
+    super(default_value, is_required)
+    this.multiple = multiple
+    this.max_size = null
+    this.max_total_size = null
+    this.accept = null
+    this.min_files = null
+    this.max_files = null
+    this.min_width = null
+    this.max_width = null
+    this.min_height = null
+    this.max_height = null
+    this.image_reader = read_image_size
+  }
+
+  filed_value_is_empty(value) {
+    if (is_blob(value)) return false
+    if (Array.isArray(value)) return value.length === 0
+
+    return super.filed_value_is_empty(value)
+  }
+
+  /**
+   * @returns {Blob[]} - returns selected files as an array for both single and multiple fields
+   */
+  get files() {
+    if (this.value_is_empty) return []
+    return Array.isArray(this._value) ? this._value : [this._value]
+  }
+
+  /**
+   * @returns {string[]} - returns accepted MIME types and extensions
+   */
+  get accept_list() {
+    if (!this.accept) return []
+
+    let accept = Array.isArray(this.accept) ? this.accept : this.accept.split(',')
+    return accept.map(a => a.trim().toLowerCase()).filter(a => a)
+  }
+
+  /**
+   * @returns {boolean} - whether the type or the extension of the file is accepted
+   */
+  is_accepted(file) {
+    let accept = this.accept_list
+    if (!accept.length) return true
+
+    let type = (file.type || '').toLowerCase()
+    let name = (file.name || '').toLowerCase()
+
+    return accept.some(a => {
+      if (a.startsWith('.')) return name.endsWith(a)
+      if (a.endsWith('/*')) return type.startsWith(a.slice(0, -1))
+      return type === a
+    })
+  }
+
+  /**
+   * Validates data and set result of validation in is_valid field
+   */
+  _checkValid() {
+    super._checkValid()
+    if (!this.is_valid || this.value_is_empty) {
       return
     }
 
-    let datetime_value = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2})(:\d{2}.\d{3}\+\d{2}:\d{2})?$/.test(this._value) ? DateTime.fromISO(this._value) : DateTime.fromFormat(this._value, this.dt_format)
+    let files = this.files
+    let error = this._check_files(files)
+
+    if (error) {
+      this.is_valid = false
+      this._set_valid_error(error.code, error.params)
+    }
+  }
+
+  /**
+   * @returns {{code: string, params: Object}|null} - returns the first error of the files
+   */
+  _check_files(files) {
+    if (files.some(f => !is_blob(f))) return {code: 'file_invalid', params: {}}
+
+    if (this.min_files != null && files.length < this.min_files) {
+      return {code: 'min_files', params: {min_files: this.min_files}}
+    }
+    if (this.max_files != null && files.length > this.max_files) {
+      return {code: 'max_files', params: {max_files: this.max_files}}
+    }
+
+    for (let file of files) {
+      let name = file.name || ''
+
+      if (!this.is_accepted(file)) {
+        return {code: 'file_type', params: {name, accept: this.accept_list.join(', ')}}
+      }
+      if (this.max_size != null && file.size > this.max_size) {
+        return {code: 'file_max_size', params: {name, max_size: format_file_size(this.max_size)}}
+      }
+    }
+
+    if (this.max_total_size != null && files.reduce((size, f) => size + f.size, 0) > this.max_total_size) {
+      return {code: 'file_max_total_size', params: {max_total_size: format_file_size(this.max_total_size)}}
+    }
+
+    return null
+  }
+
+  get _checks_dimensions() {
+    return [this.min_width, this.max_width, this.min_height, this.max_height].some(v => v != null)
+  }
+
+  get _has_async_checks() {
+    return super._has_async_checks || (this._checks_dimensions && !!this.image_reader)
+  }
+
+  /**
+   * Checks dimensions of the images before the async validators
+   */
+  async _run_async_validators(value, signal) {
+    let errors = []
+
+    if (this._checks_dimensions && this.image_reader) {
+      for (let file of this.files.filter(f => (f.type || '').startsWith('image/'))) {
+        let size = await this.image_reader(file)
+        if (size) errors = errors.concat(this._check_dimensions(file, size))
+      }
+    }
+
+    return errors.concat(await super._run_async_validators(value, signal))
+  }
+
+  _check_dimensions(file, {width, height}) {
+    let name = file.name || ''
+    let limits = [
+      ['image_min_width', 'min_width', width < this.min_width],
+      ['image_max_width', 'max_width', width > this.max_width],
+      ['image_min_height', 'min_height', height < this.min_height],
+      ['image_max_height', 'max_height', height > this.max_height],
+    ]
+
+    return limits.filter(([, k, is_failed]) => this[k] != null && is_failed)
+      .map(([code, k]) => ({code, params: {name, [k]: this[k]}}))
+  }
+
+  /**
+   * Exports definition of the field to a JSON Schema, files are binary strings
+   * @returns {Object}
+   */
+  to_json_schema() {
+    let file = {type: 'string', format: 'binary'}
+    let types = this.accept_list.filter(a => !a.startsWith('.') && !a.endsWith('/*'))
+    if (types.length === 1) file.contentMediaType = types[0]
+
+    if (!this.multiple) return file
+
+    let schema = {type: 'array', items: file}
+    if (this.min_files != null) schema.minItems = this.min_files
+    if (this.max_files != null) schema.maxItems = this.max_files
+
+    return schema
+  }
+
+  get value() {
+    return this._value
+  }
+
+  /**
+   * @param {Blob|Blob[]|FileList|null} value - sets the file, the first file of a list for a single field
+   */
+  set value(value) {
+    let files = value === null || value === undefined || is_blob(value) ? value : Array.from(value)
+
+    if (this.multiple) {
+      files = files === null || files === undefined ? [] : [].concat(files)
+    } else if (Array.isArray(files)) {
+      files = files.length ? files[0] : null
+    }
+
+    super.value = files
+  }
+
+  /**
+   * @returns {null|Blob|Blob[]} - returns the file, files of a multiple field, null if nothing is selected
+   */
+  _clear_value() {
+    return this.value_is_empty ? (this.multiple ? [] : null) : this._value
+  }
+}
+
+// endregion
+
+
+// region ListField
+/**
+ * Copies values of the fields of a form to a form of the same structure as they are stored,
+ * without passing them through setters, input and output transforms
+ * @param {Form} source
+ * @param {Form} target
+ */
+function copy_form_values(source, target) {
+  for (let k of source._form_fields_names) {
+    let field = source[k]
+
+    if (field instanceof FormField) {
+      target[k]._value = Array.isArray(field._value) ? [...field._value] : field._value
+      target[k].is_valid = field.is_valid
+    } else if (field instanceof NestedFormField) {
+      copy_form_values(field.form, target[k].form)
+    } else if (field instanceof ListField) {
+      target[k].value = field._value.map(row => {
+        let copy = target[k]._create_row()
+        copy_form_values(row, copy)
+        return copy
+      })
+    }
+  }
+
+  for (let k of source._value_fields_names) {
+    target[k] = source[k]
+  }
+}
+
+/**
+ * List of row forms, e.g. contacts: new ListField([], true, () => new Form({phone: new PhoneField()})).
+ * The row factory creates rows for plain objects set to the list (form.fields = {contacts: [{phone: ...}]}),
+ * inserted and duplicated rows. min_items, max_items and unique_key (name of a row field that must not repeat)
+ * are checked with the rows by Form.check_valid().
+ * Events: change(name, value) after a row is added (value is the row form), deleted (value is null)
+ * or a value in a row is changed (name is '2.phone'), validate(name, is_valid) and error(name, errors) of the rows.
+ */
+export class ListField extends Observable {
+  constructor(default_value = [], is_required = true, row_factory = null) {
+    super()
+    this.is_required = is_required
+    this.row_factory = row_factory
+    this.min_items = null
+    this.max_items = null
+    this.unique_key = null
+    this._errors = []
+    this._row_listeners = new Map()
+    this._value = default_value.map(row => this._to_row(row))
+    this._initial_rows = [...this._value]
+
+    for (let f of this._value) {
+      this._watch_row(f)
+    }
+
+    if (this._value.length === 0) {
+      is_required ? this._is_valid = null : this._is_valid = true
+    } else if (this._value.length > 0) {
+      this._is_valid = true
+    }
+  }
+
+  /**
+   * Sets settings of the list
+   * @param {{min_items?: number, max_items?: number, unique_key?: string, is_required?: boolean}} kwargs
+   * @returns {this} - returns the current object
+   */
+  kwargs(kwargs = {}) {
+    return FormField.prototype.kwargs.call(this, kwargs)
+  }
+
+  get is_valid() {
+    return this._is_valid
+  }
+
+  set is_valid(value) {
+    this._is_valid = value
+  }
+
+  /**
+   * @returns {null|*} - returns a cleared value, typically used for sending to the server
+   */
+  get value_clear() {
+    let value_fields = []
+
+    for (let f of this._value) {
+      value_fields.push(f.value_fields)
+    }
+
+    return value_fields
+  }
+
+  get form_value() {
+    return this._value
+  }
+
+  get value() {
+    return this._value
+  }
+
+  /**
+   * @param {Array<Form|Object>} value - sets rows, plain objects are converted to rows by the row factory
+   */
+  set value(value) {
+    let rows = (value || []).map(row => this._to_row(row))
+
+    for (let f of this._value) {
+      this._unwatch_row(f)
+    }
+    this._value = rows
+    for (let f of this._value) {
+      this._watch_row(f)
+    }
+
+    this._emit('change', '', this._value)
+  }
+
+  get length() {
+    return this._value.length
+  }
+
+  /**
+   * @returns {Form} - returns the row as is or a new row of the row factory filled with the values of the object
+   */
+  _to_row(value) {
+    if (value instanceof Form) return value
+
+    let row = this._create_row()
+    row.fields = value || {}
+
+    return row
+  }
+
+  /**
+   * @param {number} index
+   * @param {number} max - maximum allowed index
+   * @throws {ListError} - Throws an error if the index is not a row index
+   */
+  _check_index(index, max = this._value.length - 1) {
+    if (!Number.isInteger(index) || index < 0 || index > max) {
+      throw new CustomError('ListError', `Index ${index} is out of range of the list of ${this._value.length} rows`)
+    }
+  }
+
+  _create_row() {
+    if (!this.row_factory) {
+      throw new CustomError('ListError', 'row_factory is required to create rows of the list')
+    }
+    return this.row_factory()
+  }
+
+  push(value) {
+    let row = this._to_row(value)
 
-    this.is_valid = datetime_value.isValid
+    this._value.push(row)
+    this._watch_row(row)
+    this._emit('change', `${this._value.length - 1}`, row)
+    return this._value
   }
 
-  get value() {
+  /**
+   * Inserts a row before the index
+   * @param {number} index
+   * @param {Form|Object} value - row or values of a new row
+   */
+  insert(index, value) {
+    this._check_index(index, this._value.length)
+    let row = this._to_row(value)
+
+    this._value.splice(index, 0, row)
+    this._watch_row(row)
+    this._emit('change', `${index}`, row)
     return this._value
   }
 
-  set value(value) {
-    if (!value) {
-      super.value = value
-      return
-    }
+  /**
+   * Inserts a copy of the row after it, the copy is created by the row factory
+   * @param {number} index
+   */
+  duplicate(index) {
+    this._check_index(index)
 
-    let datetime_value
-    if (typeof value === 'object') {
-      datetime_value = value
-    } else {
-      datetime_value = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2})(:\d{2}.\d{3}\+\d{2}:\d{2})?$/.test(value) ? DateTime.fromISO(value) : DateTime.fromFormat(value, this.dt_format)
-    }
+    let row = this._create_row()
+    copy_form_values(this._value[index], row)
 
-    if (datetime_value.isValid) {
-      super.value = datetime_value.toFormat(this.dt_format)
-    } else {
-      super.value = value
-    }
+    return this.insert(index + 1, row)
   }
 
   /**
-   * @returns {null|*} - returns a cleared value, typically used for sending to the server
+   * Moves the row from one index to another
+   * @param {number} from
+   * @param {number} to
    */
-  get value_clear() {
-    let datetime_value = DateTime.fromFormat(this._value || '', this.dt_format)
-    if (datetime_value.isValid) {
-      return datetime_value.toISO()
-    } else {
-      return null
-    }
+  move(from, to) {
+    this._check_index(from)
+    this._check_index(to)
+
+    let [row] = this._value.splice(from, 1)
+
+    this._value.splice(to, 0, row)
+    this._emit('change', '', this._value)
+    return this._value
   }
 
-  get day() {
-    let date_regex = this.d_format.replace(/[dMyms]/g, '\\d')
-    let date = this._value.match(date_regex)
-    if (date) {
-      let datetime_value = DateTime.fromFormat(date[0], this.d_format)
-      if (datetime_value.isValid) {
-        return datetime_value.day
-      }
+  delete(index) {
+    for (let f of this._value.splice(index, 1)) {
+      this._unwatch_row(f)
     }
-    return ''
+    this._emit('change', `${index}`, null)
+    return this._value
   }
 
-  get month() {
-    let date_regex = this.d_format.replace(/[dMyms]/g, '\\d')
-    let date = this._value.match(date_regex)
-    if (date) {
-      let datetime_value = DateTime.fromFormat(date[0], this.d_format)
-      if (datetime_value.isValid) {
-        return datetime_value.month
-      }
-    }
-    return ''
+  _watch_row(row) {
+    if (!(row instanceof Form) || this._row_listeners.has(row)) return
+
+    this._row_listeners.set(row, ['change', 'validate', 'error'].map(event => row.on(event, (name, value) => {
+      let index = this._value.indexOf(row)
+      this._emit(event, name ? `${index}.${name}` : `${index}`, value)
+    })))
   }
 
-  get year() {
-    let date_regex = this.d_format.replace(/[dMyms]/g, '\\d')
-    let date = this._value.match(date_regex)
-    if (date) {
-      let datetime_value = DateTime.fromFormat(date[0], this.d_format)
-      if (datetime_value.isValid) {
-        return datetime_value.year
-      }
-    }
-    return ''
+  _unwatch_row(row) {
+    for (let off of this._row_listeners.get(row) || []) off()
+    this._row_listeners.delete(row)
   }
 
-  get date() {
-    let date_regex = this.d_format.replace(/[dMyms]/g, '\\d')
-    let date = this._value.match(date_regex)
-    if (date) {
-      return date[0]
-    } else {
-      return ''
-    }
+  get pending() {
+    return this._value.some(f => f.pending)
   }
 
-  get time() {
-    let datetime_value = DateTime.fromFormat(this._value || '', this.dt_format)
-    if (datetime_value.isValid) {
-      return datetime_value.toFormat('HH:mm')
-    } else {
-      return ''
-    }
+  /**
+   * Returns errors of the list under the '' key and errors of the rows with dotted paths ('2.phone')
+   * @returns {Object<string, ValidationError[]>}
+   */
+  get errors() {
+    let errors = {}
+    if (this._errors.length) errors[''] = render_errors(this._errors)
+
+    this._value.forEach((f, i) => {
+      if (f._non_field_errors.length) errors[`${i}`] = f.non_field_errors
+
+      let row_errors = f.errors
+      for (let path in row_errors) {
+        errors[`${i}.${path}`] = row_errors[path]
+      }
+    })
+
+    return errors
   }
-}
 
-export class DateField extends DateTimeField {
-  constructor(default_value = '', is_required = true) {
-    super(default_value, is_required)
-    this.set_format()
+  /**
+   * @returns {string} - returns rendered errors of the list itself joined with ' | '
+   */
+  get error() {
+    return render_errors(this._errors).map(e => e.message).join(' | ')
   }
 
-  set_format(value) {
-    this.dt_format = CRFormData.formats.format_datetime
-    this.d_format = CRFormData.formats.format_date
-    this.mask = CRFormData.formats.mask_date
-    this.example = CRFormData.formats.format_date
+  /**
+   * @param value - sets errors of the list itself from the server, empty value clears them
+   */
+  set error(value) {
+    this._update_errors([...this._errors.filter(e => e.source !== 'server'), ...make_errors(value, 'server')])
+  }
+
+  _update_errors(errors) {
+    if (values_equal(errors, this._errors)) return
+
+    this._errors = errors
+    this._emit('error', '', render_errors(this._errors))
   }
 
   /**
-   * Validates data and set result of validation in is_valid field
+   * Returns a summary of rows with errors, e.g. to mark them in a table
+   * @returns {{index: number, count: number, messages: string[]}[]}
    */
-  _checkValid() {
-    if (this.value_is_empty) {
-      this.is_valid = !this.is_required
-      return
-    }
+  get row_errors() {
+    let summary = []
 
-    let datetime_value = DateTime.fromFormat(this._value || '', this.d_format)
+    this._value.forEach((f, index) => {
+      let errors = [...f.non_field_errors, ...Object.values(f.errors).flat()]
+      if (errors.length) summary.push({index, count: errors.length, messages: errors.map(e => e.message)})
+    })
 
-    this.is_valid = datetime_value.isValid
+    return summary
   }
 
-  get value() {
-    return this._value
+  /**
+   * @returns {boolean} - whether rows were added, deleted or changed since the last snapshot
+   */
+  get is_dirty() {
+    if (this._value.length !== this._initial_rows.length) return true
+
+    return this._value.some((f, i) => f !== this._initial_rows[i] || f.is_dirty)
   }
 
-  set value(value) {
-    if (!value) {
-      super.value = value
-      return
+  /**
+   * Remembers current rows and their values as initial ones
+   */
+  snapshot() {
+    this._initial_rows = [...this._value]
+
+    for (let f of this._value) {
+      f.snapshot()
     }
+  }
 
-    let datetime_value
-    if (typeof value === 'object') {
-      datetime_value = value
-    } else {
-      datetime_value = /^\d{4}-\d{2}-\d{2}$/.test(value) ? DateTime.fromFormat(value, 'yyyy-MM-dd') : DateTime.fromFormat(value, this.d_format)
+  /**
+   * Returns rows and their values to the last snapshot and removes all errors
+   */
+  reset() {
+    for (let f of this._value.splice(0, this._value.length, ...this._initial_rows)) {
+      this._unwatch_row(f)
+    }
+    for (let f of this._value) {
+      this._watch_row(f)
     }
+    this._errors = []
 
-    if (datetime_value.isValid) {
-      super.value = datetime_value.toFormat(this.d_format)
-    } else {
-      super.value = value
+    for (let f of this._value) {
+      f.reset()
     }
+
+    this._emit('change', '', this._value)
   }
 
   /**
-   * @returns {null|*} - returns a cleared value, typically used for sending to the server
+   * Exports definition of the list to a JSON Schema, rows are described by the row factory or the first row
+   * @returns {Object}
    */
-  get value_clear() {
-    let datetime_value = DateTime.fromFormat(this._value || '', this.d_format)
-    if (datetime_value.isValid) {
-      return datetime_value.toFormat('yyyy-MM-dd')
-    } else {
-      return null
-    }
+  to_json_schema() {
+    let row = this.row_factory ? this.row_factory() : this._value[0]
+    let schema = {type: 'array', items: row ? row.to_json_schema() : {type: 'object'}}
+
+    if (this.min_items != null) schema.minItems = this.min_items
+    if (this.max_items != null) schema.maxItems = this.max_items
+    if (this.unique_key) schema['x-unique-key'] = this.unique_key
+
+    return schema
   }
 
-  get day() {
-    let datetime_value = DateTime.fromFormat(this._value || '', this.d_format)
-    if (datetime_value.isValid) {
-      return datetime_value.day
-    } else {
-      return ''
-    }
+  /**
+   * Waits for the async validators of all rows
+   * @returns {Promise<boolean>}
+   */
+  async check_valid_async() {
+    let results = await Promise.all(this._value.map(f => f.check_valid_async()))
+
+    this._is_valid = this._is_valid !== false && !results.includes(false)
+    return this._is_valid
   }
 
-  get month() {
-    let datetime_value = DateTime.fromFormat(this._value || '', this.d_format)
-    if (datetime_value.isValid) {
-      return datetime_value.month
-    } else {
-      return ''
+  /**
+   * Marks fields of the rows repeating the unique_key value of a previous row
+   * @returns {boolean} - whether values of the unique_key are unique
+   */
+  _check_unique() {
+    let seen = []
+    let is_valid = true
+
+    for (let f of this._value) {
+      let value = f.value_fields[this.unique_key]
+      if (FormRule.is_empty(value)) continue
+
+      if (seen.some(v => values_equal(v, value))) {
+        is_valid = false
+        if (f[this.unique_key] instanceof FormField) {
+          f[this.unique_key].add_error({code: 'duplicates'}, 'client')
+          f[this.unique_key].is_valid = false
+        }
+      } else {
+        seen.push(value)
+      }
     }
+
+    return is_valid
   }
 
-  get year() {
-    let datetime_value = DateTime.fromFormat(this._value || '', this.d_format)
-    if (datetime_value.isValid) {
-      return datetime_value.year
-    } else {
-      return ''
+  /**
+   * Validates the rows, the count of rows and uniqueness of unique_key and set result of validation in is_valid field
+   */
+  _checkValid() {
+    let is_valid = true
+    let errors = []
+
+    for (let f of this._value) {
+      if (!f.check_valid() && is_valid) {
+        is_valid = false
+      }
     }
-  }
-}
 
-export class LoginField extends StringField {
-  constructor(default_value = '', is_required = true) {
-    super(default_value, is_required, 1, 50, '^[^+]\\w{0,99}$', 'любые буквы (то, что может быть частью слова), а также цифры и _')
-  }
-}
+    if (this._value.length === 0 && this.is_required) {
+      errors.push({code: 'required'})
+    } else if (this.min_items != null && this._value.length < this.min_items) {
+      errors.push({code: 'min_items', params: {min_items: this.min_items}})
+    } else if (this.max_items != null && this._value.length > this.max_items) {
+      errors.push({code: 'max_items', params: {max_items: this.max_items}})
+    }
 
-export class PasswordField extends StringField {
-  constructor(default_value = '', is_required = true) {
-    super(default_value, is_required, 8, 50, '')
-  }
-}
+    if (this.unique_key && !this._check_unique()) {
+      is_valid = false
+    }
 
-export class PasswordSmallField extends StringField {
-  constructor(default_value = '', is_required = true) {
-    super(default_value, is_required, 4, 50, '')
+    this._update_errors([...this._errors.filter(e => e.source !== 'client'), ...make_errors(errors, 'client')])
+    this._is_valid = is_valid && !errors.length
   }
 }
 
-export class PasswordTinyField extends StringField {
-  constructor(default_value = '', is_required = true) {
-    super(default_value, is_required, 1, 50, '')
+// endregion
+
+
+// region JSON Schema
+function resolve_json_schema_ref(schema, root) {
+  if (!schema || !schema.$ref) return schema || {}
+
+  if (!schema.$ref.startsWith('#/')) {
+    throw new CustomError('SchemaError', `Only local references are supported, got "${schema.$ref}"`)
   }
+
+  let resolved = schema.$ref.slice(2).split('/').reduce((node, key) => {
+    return node[key.replace(/~1/g, '/').replace(/~0/g, '~')]
+  }, root)
+
+  return resolve_json_schema_ref(resolved, root)
 }
 
-export class IpField extends StringField {
-  constructor(default_value = '', is_required = true) {
-    super(default_value, is_required, 7, 15, '^\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}$', '4.5.6.7')
-  }
+function json_schema_type(schema) {
+  return Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type
 }
 
-export class ColorHexField extends StringField {
-  constructor(default_value = '', is_required = true) {
-    super(default_value, is_required, 7, 7, '^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$', '#FACE8D')
+function form_from_json_schema(schema, root) {
+  schema = resolve_json_schema_ref(schema, root)
+
+  let required = schema.required || []
+  let fields = {}
+
+  for (let k in schema.properties || {}) {
+    fields[k] = field_from_json_schema(schema.properties[k], required.includes(k), root)
   }
+
+  return new Form(fields)
 }
 
-export class HashMD5 extends StringField {
-  constructor(default_value = '', is_required = true) {
-    super(default_value, is_required, 32, 32, '^[A-Fa-f0-9]+$', 'HashMD5')
+function field_from_json_schema(schema, is_required, root) {
+  schema = resolve_json_schema_ref(schema, root)
+
+  let type = json_schema_type(schema)
+  let default_value = schema.default
+
+  if (schema.enum) {
+    return new SelectField(default_value === undefined ? null : default_value, is_required, null, schema.enum)
   }
-}
 
-export class MacField extends StringField {
-  constructor(default_value = '', is_required = true) {
-    super(default_value, is_required, 17, 17, '^([A-Fa-f0-9]{2}:){5}[A-Fa-f0-9]{2}$', '00:00:00:00:00:00', '__:__:__:__:__:__', true)
+  if (type === 'string' && schema.format === 'binary') {
+    return new FileField(null, is_required)
   }
-}
 
-// endregion
+  if (type === 'string') {
+    default_value = default_value === undefined ? '' : default_value
 
+    if (schema.format === 'email') return new EmailField(default_value, is_required)
+    if (schema.format === 'ipv4') return new IpField(default_value, is_required)
+    if (schema.format === 'ipv6') return new Ipv6Field(default_value, is_required)
+    if (schema.format === 'date') return new DateField(default_value, is_required)
+    if (schema.format === 'date-time') return new DateTimeField(default_value, is_required)
 
-// region NumberField
-export class NumberField extends FormField {
-  constructor(default_value = null, is_required = true, min = null, max = null, example = 'целое число') {
-    super(default_value, is_required)
-    this.min = min
-    this.max = max
-    this.example = example
-  }
+    let example = (schema.examples || [])[0] || schema.example || ''
 
-  _check_number_match() {
-    if (!this._value.toString().match('^\\d+$')) {
-      this.is_valid = false
-      this.__valid_error = `Пример: ${this.example}`
-    }
+    return new StringField(default_value, is_required, schema.minLength == null ? null : schema.minLength,
+      schema.maxLength == null ? null : schema.maxLength, schema.pattern || '', example)
   }
 
-  _check_valid_number() {
-    if (this.value_is_empty && !this.is_required) {
-      return
-    }
+  default_value = default_value === undefined ? null : default_value
 
-    if (typeof this._value !== "number") {
-      if (typeof this._value !== "string") {
-        this.is_valid = false
-        this.__valid_error = `Пример: ${this.example}`
-      } else {
-        if (this._value === '' && this.is_required) {
-          this.is_valid = false
-          return
-        }
+  if (type === 'integer' || type === 'number') {
+    let field = type === 'integer'
+      ? new NumberField(default_value, is_required)
+      : new DecimalField(default_value, is_required, null, null, null, null)
 
-        this._check_number_match()
-      }
-    }
+    if (schema.minimum != null) field.min = schema.minimum
+    if (schema.maximum != null) field.max = schema.maximum
+    if (typeof schema.exclusiveMinimum === 'number') field.kwargs({min: schema.exclusiveMinimum, exclusive_min: true})
+    if (typeof schema.exclusiveMaximum === 'number') field.kwargs({max: schema.exclusiveMaximum, exclusive_max: true})
 
-    if (this.is_valid) {
-      this.__valid_error = null
+    let decimal_places = schema.multipleOf ? -Math.log10(schema.multipleOf) : null
+
+    if (type === 'number' && Number.isInteger(decimal_places) && decimal_places >= 0) {
+      field.decimal_places = decimal_places
+    } else if (schema.multipleOf) {
+      field.step = schema.multipleOf
     }
+    if (schema['x-max-digits']) field.max_digits = schema['x-max-digits']
+
+    return field
   }
 
-  /**
-   * Validates data and set result of validation in is_valid field
-   */
-  _checkValid() {
-    super._checkValid()
-    if (!this.is_valid) {
-      return
-    }
+  if (type === 'array') {
+    let items = resolve_json_schema_ref(schema.items, root)
 
-    this._check_valid_number()
+    if (json_schema_type(items) === 'object') {
+      return new ListField([], is_required, () => form_from_json_schema(items, root)).kwargs({
+        min_items: schema.minItems == null ? null : schema.minItems,
+        max_items: schema.maxItems == null ? null : schema.maxItems,
+        unique_key: schema['x-unique-key'] || null,
+      })
+    }
 
-    if (this.min) {
-      this.is_valid = this._value >= this.min
-      if (!this.is_valid) {
-        this.__valid_error = `Минимум: ${this.min}`
-      } else {
-        this.__valid_error = null
-      }
-      return
+    if (items && items.format === 'binary') {
+      return new FileField([], is_required, true).kwargs({
+        min_files: schema.minItems == null ? null : schema.minItems,
+        max_files: schema.maxItems == null ? null : schema.maxItems,
+      })
     }
 
-    if (this.max) {
-      this.is_valid = this._value <= this.max
-      if (!this.is_valid) {
-        this.__valid_error = `Максимум: ${this.max}`
-      } else {
-        this.__valid_error = null
-      }
-      return
+    if (items && (items.enum || schema.uniqueItems)) {
+      return new MultiSelectField(default_value || [], is_required, '', items.enum || null).kwargs({
+        min_selected: schema.minItems == null ? null : schema.minItems,
+        max_selected: schema.maxItems == null ? null : schema.maxItems,
+      })
     }
+
+    return new FormField(default_value || [], is_required)
   }
-}
 
-export class DecimalField extends NumberField {
-  constructor(default_value = null, is_required = true, min = null, max = null,
-              decimal_places = 2, max_digits = 8) {
-    super(default_value, is_required, min, max, '1.00 или 1')
-    this.decimal_places = decimal_places
-    this.max_digits = max_digits
+  if (type === 'object' && schema['x-money']) {
+    let properties = schema.properties || {}
+    let amount = field_from_json_schema(properties.amount || {type: 'number'}, is_required, root)
+    let currencies = resolve_json_schema_ref(properties.currency, root).enum || null
+    let default_amount = default_value ? default_value.amount : null
+
+    let field = new MoneyField(default_amount, is_required, currencies ? currencies[0] : null, amount.min, amount.max)
+    field.kwargs({currencies, exclusive_min: amount.exclusive_min, exclusive_max: amount.exclusive_max})
+    if (default_value && default_value.currency) field.currency = default_value.currency
+
+    return field
   }
 
-  _check_number_match() {
-    if (!this._value.toString().match('^[\\d.]+$')) {
-      this.is_valid = false
-      this.__valid_error = `Пример: ${this.example}`
-    }
+  if (type === 'object' && schema.properties) {
+    let field = new NestedFormField(form_from_json_schema(schema, root), is_required)
+    if (default_value) field.value = default_value
 
-    if (this._value.toString().split('.').length > 2) {
-      this.is_valid = false
-      this.__valid_error = `Пример: ${this.example}`
-    }
+    return field
   }
 
-  /**
-   * Validates data and set result of validation in is_valid field
-   */
-  _checkValid() {
-    super._checkValid()
-    if (!this.is_valid) {
-      return
-    }
+  return new FormField(default_value, is_required)
+}
 
-    let dec_str = this._value.toString()
-    let dec_parts = dec_str.split('.')
-    let p1 = dec_parts[0]
+function json_schema_of_value(value) {
+  if (value === null || value === undefined) return {}
+  if (Array.isArray(value)) return {type: 'array'}
+  if (typeof value === 'number') return {type: Number.isInteger(value) ? 'integer' : 'number'}
 
-    if (p1.length > this.max_digits - this.decimal_places) {
-      this.is_valid = false
-      this.__valid_error = `Максимальное количество знаков перед запятой ${this.max_digits - this.decimal_places}`
-    }
+  return {type: typeof value}
+}
 
-    if (dec_parts.length === 2) {
-      let p2 = dec_parts[1]
+// endregion
 
-      if (p1.length + p2.length > this.max_digits) {
-        this.is_valid = false
-        this.__valid_error = `Максимальное количество знаков ${this.max_digits}`
-      } else {
-        if (p2.length === 0) {
-          this.is_valid = false
-          this.__valid_error = `После точки должен быть минимум 1 знак`
-        } else if (p2.length > this.decimal_places) {
-          this.is_valid = false
-          this.__valid_error = `Максимальное количество знаков после запятой ${this.decimal_places}`
-        }
-      }
-    }
+
+// region Serialization
+const array_formats = ['repeat', 'brackets', 'indices', 'comma']
+
+function is_plain_object(value) {
+  return value !== null && typeof value === 'object' && !is_blob(value)
+}
+
+/**
+ * Flattens values to [key, value] pairs, values are strings or files
+ * @param {Object} values
+ * @param {SerializeOptions} options
+ * @returns {Array<[string, string|Blob]>}
+ */
+function serialize_values(values, {array_format = 'repeat', skip_empty = false} = {}) {
+  if (!array_formats.includes(array_format)) {
+    throw new CustomError('SerializationError', `Unknown array format: ${array_format}`)
   }
 
-  get value() {
-    if (/^\d+\.$/.test(this._value) || !this._value) {
-      return this._value
-    } else if ((!/^\d+\.$/.test(this._value) && !/^\d+$/.test(this._value)) || typeof this._value == "number") {
-      return this._value
+  let entries = []
+
+  let add = (key, value) => {
+    if (value === null || value === undefined || (skip_empty && value === '')) return
+
+    if (is_blob(value)) {
+      entries.push([key, value])
+    } else if (Array.isArray(value)) {
+      if (array_format === 'comma' && value.length && !value.some(v => is_plain_object(v) || is_blob(v))) {
+        entries.push([key, value.join(',')])
+        return
+      }
+
+      value.forEach((v, i) => {
+        let keys = {repeat: key, brackets: `${key}[]`, indices: `${key}[${i}]`, comma: key}
+        add(is_plain_object(v) ? `${key}[${i}]` : keys[array_format], v)
+      })
+    } else if (typeof value === 'object') {
+      for (let k in value) {
+        add(`${key}[${k}]`, value[k])
+      }
     } else {
-      return Number(this._value)
+      entries.push([key, `${value}`])
     }
   }
 
-  set value(value) {
-    super.value = value
+  for (let k in values) {
+    add(k, values[k])
   }
+
+  return entries
 }
 
-// endregion
+const unsafe_query_keys = ['__proto__', 'constructor', 'prototype']
+
+/**
+ * Builds nested values from pairs with keys like 'items[0][name]' and 'tags[]', repeated keys make arrays.
+ * Objects are created without prototype, keys with '__proto__', 'constructor' or 'prototype' are skipped
+ * @param {Iterable<[string, *]>} entries
+ * @returns {Object}
+ */
+function parse_query_entries(entries) {
+  let values = Object.create(null)
 
+  for (let [key, value] of entries) {
+    let path = (key.match(/^[^[]+|\[[^\]]*]/g) || [key]).map(p => p.replace(/^\[|]$/g, ''))
+    if (path.some(p => unsafe_query_keys.includes(p))) continue
 
-// region SelectField
-export class SelectField extends FormField {
-  constructor(default_value = 0, is_required = true, min = 1) {
-    super(default_value, is_required)
-    this.min = min
+    set_query_value(values, path, value)
   }
 
-  /**
-   * Validates data and set result of validation in is_valid field
-   */
-  _checkValid() {
-    super._checkValid()
-    if (!this.is_valid) {
-      return
-    }
+  return values
+}
 
-    if ((this.value_is_empty && !this.value_is_zero) || this._value < this.min) {
-      this.is_valid = !this.is_required
-    } else {
-      this.is_valid = true
+function set_query_value(target, path, value) {
+  let [name, ...rest] = path
+  let has_name = Object.prototype.hasOwnProperty.call(target, name)
+
+  if (!rest.length) {
+    target[name] = has_name ? [].concat(target[name], value) : value
+  } else if (rest.length === 1 && rest[0] === '') {
+    target[name] = [].concat(has_name ? target[name] : [], value)
+  } else {
+    if (!has_name || target[name] === null || typeof target[name] !== 'object') {
+      target[name] = /^\d+$/.test(rest[0]) ? [] : Object.create(null)
     }
+    set_query_value(target[name], rest, value)
+  }
+}
 
-    if (this.is_valid) {
-      this.__valid_error = null
-    } else {
-      this.__valid_error = 'Необходимо выбрать значение'
+// endregion
+
+
+// region NestedFormField
+/**
+ * Field that wraps a sub-form, e.g. address: new NestedFormField(new Form({city: ..., street: ...})).
+ * Contributes a nested object to Form.value_fields and is validated recursively by Form.check_valid().
+ */
+export class NestedFormField extends Observable {
+  constructor(form, is_required = true) {
+    super()
+    this.form = form
+    this.is_required = is_required
+    this._is_valid = null
+
+    for (let event of ['change', 'validate', 'error']) {
+      form.on(event, (name, value) => this._emit(event, name, value))
     }
   }
 
+  get is_valid() {
+    return this._is_valid
+  }
+
+  set is_valid(value) {
+    this._is_valid = value
+  }
+
   /**
-   * @returns {null|*} - returns a cleared value, typically used for sending to the server
+   * @returns {Object} - returns values of the sub-form, typically used for sending to the server
    */
   get value_clear() {
-    let value = this._value
+    return this.form.value_fields
+  }
 
-    if (!this.is_required && (this.value_is_zero || this.value_is_empty)) {
-      value = null
-    }
+  get form_value() {
+    return this.form
+  }
 
-    return value
+  get value() {
+    return this.form.value_fields
   }
-}
 
-export class SelectObjectField extends FormField {
-  constructor(default_value = {}, is_required = true, returned_key = '') {
-    super(default_value, is_required)
-    this.returned_key = returned_key
+  /**
+   * @param {Object} value - sets values of the sub-form fields
+   */
+  set value(value) {
+    this.form.fields = value || {}
   }
 
-  check_returned_key() {
-    if (!Object.keys(this._value).includes(this.returned_key)) {
-      throw new FieldError(`${this.returned_key}`)
-    }
+  get value_is_empty() {
+    let values = this.form.value_fields
+    return Object.keys(values).every(k => FormRule.is_empty(values[k]))
   }
 
-  get returned_value() {
-    return this._value[this.returned_key]
+  get pending() {
+    return this.form.pending
   }
 
   /**
-   * Validates data and set result of validation in is_valid field
+   * Returns errors of the sub-form with their paths, non-field errors of the sub-form under the '' key
+   * @returns {Object<string, ValidationError[]>}
    */
-  _checkValid() {
-    super._checkValid()
-    if (!this.is_valid) {
-      return
-    }
+  get errors() {
+    let errors = {}
+    if (this.form._non_field_errors.length) errors[''] = this.form.non_field_errors
 
-    this.check_returned_key()
+    return {...errors, ...this.form.errors}
+  }
 
-    if (this.is_required && this.value_is_empty) {
-      this.is_valid = false
-      this.__valid_error = 'Необходимо выбрать значение'
-    } else {
-      this.is_valid = true
-      this.__valid_error = null
-    }
+  /**
+   * @returns {string} - returns rendered non-field errors of the sub-form joined with ' | '
+   */
+  get error() {
+    return this.form.non_field_errors.map(e => e.message).join(' | ')
+  }
 
-    if (this.filed_value_is_empty(this.returned_value)) {
-      console.warn('Returned key field value is empty')
-    }
+  /**
+   * @param value - sets non-field errors of the sub-form from the server, empty value clears them
+   */
+  set error(value) {
+    this.form._update_non_field_errors([
+      ...this.form._non_field_errors.filter(e => e.source !== 'server'),
+      ...make_errors(value, 'server'),
+    ])
   }
 
-  get value() {
-    return this._value
+  get is_dirty() {
+    return this.form.is_dirty
   }
 
-  set value(value) {
-    this._value = value
-    if (!this.value_is_empty) this._checkValid()
+  snapshot() {
+    this.form.snapshot()
+  }
+
+  reset() {
+    this.form.reset()
   }
 
   /**
-   * @returns {null|*} - returns a cleared value, typically used for sending to the server
+   * Exports definition of the sub-form to a JSON Schema
+   * @returns {Object}
    */
-  get value_clear() {
-    this.check_returned_key()
+  to_json_schema() {
+    return this.form.to_json_schema()
+  }
 
-    let value = null
+  /**
+   * Waits for the async validators of the sub-form
+   * @returns {Promise<boolean>}
+   */
+  async check_valid_async() {
+    if (this.value_is_empty && !this.is_required) return this._is_valid
 
-    if (!this.value_is_empty) {
-      value = this.returned_value
+    this._is_valid = await this.form.check_valid_async()
+    return this._is_valid
+  }
+
+  /**
+   * Validates data of the sub-form and set result of validation in is_valid field.
+   * An optional sub-form with all values empty is not validated.
+   */
+  _checkValid() {
+    if (this.value_is_empty && !this.is_required) {
+      this._is_valid = true
+      return
     }
 
-    return value
+    this._is_valid = this.form.check_valid()
   }
 }
 
 // endregion
 
 
-// region ListField
-export class ListField {
-  constructor(default_value = [], is_required = true) {
-    this._value = default_value
-    this.is_required = default_value
-
-    if (default_value.length === 0) {
-      is_required ? this._is_valid = null : this._is_valid = true
-    } else if (default_value.length > 0) {
-      this._is_valid = true
-    }
+// region ErrorAdapter
+/**
+ * Adapter converting error payloads of the backend to the flat dictionary accepted by Form.set_errors().
+ * Subclasses override normalize() for a specific format.
+ */
+export class ErrorAdapter {
+  /**
+   * @param {Object} payload - errors received from the backend
+   * @returns {{fields: Object<string, *>, non_field_errors: Array}} - errors by dotted path and errors of the form
+   */
+  normalize(payload) {
+    return {fields: payload || {}, non_field_errors: []}
   }
+}
 
-  get is_valid() {
-    this._checkValid()
-    return this._is_valid
+/**
+ * Django REST Framework: {field: ['msg'], non_field_errors: ['msg'], items: [{}, {name: ['msg']}]}
+ */
+export class DRFErrorAdapter extends ErrorAdapter {
+  constructor(non_field_errors_key = 'non_field_errors') {
+    super()
+    this.non_field_errors_key = non_field_errors_key
   }
 
-  /**
-   * @returns {null|*} - returns a cleared value, typically used for sending to the server
-   */
-  get value_clear() {
-    let value_fields = []
+  normalize(payload) {
+    let result = {fields: {}, non_field_errors: []}
 
-    for (let f of this._value) {
-      value_fields.push(f.value_fields)
+    if (typeof payload === 'string' || Array.isArray(payload)) {
+      result.non_field_errors = [].concat(payload)
+    } else if (payload && typeof payload.detail === 'string') {
+      result.non_field_errors = [payload.detail]
+    } else {
+      this._flatten(payload || {}, '', result)
     }
 
-    return value_fields
+    return result
   }
 
-  get form_value() {
-    return this._value
+  _flatten(errors, path, result) {
+    for (let k in errors) {
+      let value = errors[k]
+      let is_non_field = k === this.non_field_errors_key
+      let key = is_non_field ? path : path ? `${path}.${k}` : k
+
+      if (is_non_field && !path) {
+        result.non_field_errors.push(...[].concat(value))
+      } else if (Array.isArray(value) && value.some(v => v !== null && typeof v === 'object')) {
+        value.forEach((row, i) => this._flatten(row || {}, `${key}.${i}`, result))
+      } else if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        this._flatten(value, key, result)
+      } else {
+        result.fields[key] = [...(result.fields[key] || []), ...[].concat(value)]
+      }
+    }
   }
+}
 
-  get length() {
-    return this._value.length
-  }
+/**
+ * Laravel and other 422 responses: {message: 'msg', errors: {'items.0.name': ['msg']}}.
+ * The message is used as a form error only when there are no field errors.
+ */
+export class LaravelErrorAdapter extends ErrorAdapter {
+  normalize(payload) {
+    let fields = (payload && payload.errors) || {}
+    let non_field_errors = []
 
-  push(value) {
-    this._value.push(value)
-    return this._value
-  }
+    if (Object.keys(fields).length === 0 && payload && payload.message) {
+      non_field_errors.push(payload.message)
+    }
 
-  delete(index) {
-    this._value.splice(index, 1)
-    return this._value
+    return {fields, non_field_errors}
   }
+}
 
-  /**
-   * Validates data and set result of validation in is_valid field
-   */
-  _checkValid() {
-    let is_valid = true
+/**
+ * RFC 7807 problem+json: {title, detail, 'invalid-params': [{name: 'items[0].name', reason: 'msg'}]}.
+ * Names can be dotted paths, paths with brackets or JSON pointers. The detail (or the title)
+ * is used as a form error only when there are no invalid params.
+ */
+export class ProblemJsonErrorAdapter extends ErrorAdapter {
+  normalize(payload) {
+    let params = (payload && payload['invalid-params']) || []
+    let fields = {}
+    let non_field_errors = []
 
-    for (let f of this._value) {
-      if (!f.check_valid() && is_valid) {
-        is_valid = false
+    for (let param of params) {
+      let path = `${param.name || ''}`
+        .replace(/^\//, '')
+        .replace(/\//g, '.')
+        .replace(/\[(\w+)]/g, '.$1')
+        .replace(/^\./, '')
+
+      if (path) {
+        fields[path] = [...(fields[path] || []), param.reason]
+      } else {
+        non_field_errors.push(param.reason)
       }
     }
 
-    this._is_valid = is_valid
+    if (params.length === 0 && payload && (payload.detail || payload.title)) {
+      non_field_errors.push(payload.detail || payload.title)
+    }
+
+    return {fields, non_field_errors}
   }
 }
 
 // endregion
-
@@ -0,0 +1,45 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {Form, StringField} from '../index.js'
+
+function abortable_validator(value, {signal}) {
+  return new Promise((resolve, reject) => {
+    let timer = setTimeout(() => resolve(value === 'taken' ? 'Login is taken' : null), 20)
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(new Error('aborted'))
+    })
+  })
+}
+
+test('form check resolves when a field value changes while it is pending', async () => {
+  let form = new Form({login: new StringField('free').kwargs({async_validators: [abortable_validator]})})
+
+  let promise = form.check_valid_async()
+  form.login.value = 'taken'
+
+  assert.equal(await promise, false)
+  assert.equal(form.login.pending, false)
+  assert.equal(form.login.error, 'Login is taken')
+})
+
+test('errors of the validators of the current value still reject', async () => {
+  let field = new StringField('value').kwargs({async_validators: [() => Promise.reject(new Error('network'))]})
+
+  await assert.rejects(field.check_valid_async(), /network/)
+  assert.equal(field.pending, false)
+})
+
+test('form check waits for the debounced check of a new value', async () => {
+  let login = new StringField('free').kwargs({async_validators: [abortable_validator], debounce: 50})
+  let form = new Form({login})
+
+  let promise = form.check_valid_async()
+  login.value = 'taken'
+  assert.equal(login.pending, true)
+
+  assert.equal(await promise, false)
+  assert.equal(login.pending, false)
+  assert.equal(login.error, 'Login is taken')
+})
@@ -0,0 +1,26 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {DateRangeField} from '../index.js'
+
+test('default value can be an object or an array', () => {
+  let from_object = new DateRangeField({start: '2024-05-01', end: '2024-05-10'})
+  let from_array = new DateRangeField(['2024-05-01', '2024-05-10'])
+
+  for (let field of [from_object, from_array]) {
+    assert.deepEqual(field.parts, {start: '01.05.2024', end: '10.05.2024'})
+    assert.deepEqual(field.value_clear, {start: '2024-05-01', end: '2024-05-10'})
+  }
+})
+
+test('input_transforms apply to objects and to strings with the separator', () => {
+  let field = new DateRangeField('', false).kwargs({
+    input_transforms: [value => typeof value === 'object' ? {...value, end: value.start} : value.replace('/', ' – ')],
+  })
+
+  field.value = {start: '2024-05-01', end: '2030-01-01'}
+  assert.deepEqual(field.value_clear, {start: '2024-05-01', end: '2024-05-01'})
+
+  field.value = '01.05.2024/02.05.2024'
+  assert.deepEqual(field.value_clear, {start: '2024-05-01', end: '2024-05-02'})
+})
@@ -0,0 +1,35 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {DateField, DateTimeField} from '../index.js'
+
+test('values are parsed and displayed in the zone of the field', () => {
+  let field = new DateTimeField().kwargs({zone: 'Europe/Moscow', output: 'utc'})
+
+  field.value = '2024-05-01T10:00:00Z'
+  assert.equal(field.value, '01.05.2024 13:00')
+  assert.equal(field.value_clear, '2024-05-01T10:00:00.000Z')
+})
+
+test('limits accept dates without time and relative expressions', () => {
+  for (let min of ['2024-06-01', '01.06.2024', '2024-06-01T00:00:00Z']) {
+    let field = new DateTimeField().kwargs({zone: 'UTC', min})
+
+    field.value = '01.01.2020 10:00'
+    assert.equal(field.is_valid, false, min)
+
+    field.value = '01.06.2024 10:00'
+    assert.equal(field.is_valid, true, min)
+  }
+
+  let birthdate = new DateField().kwargs({max: '18 years ago'})
+  birthdate.value = '2100-01-01'
+  assert.equal(birthdate.is_valid, false)
+})
+
+test('limits that are not dates throw', () => {
+  let field = new DateTimeField().kwargs({min: 'next week'})
+
+  assert.throws(() => field.min_date, /Unknown date limit/)
+  assert.throws(() => { field.value = '01.01.2020 10:00' }, /Unknown date limit/)
+})
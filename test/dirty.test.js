@@ -0,0 +1,59 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {Form, ListField, StringField} from '../index.js'
+
+function create_form() {
+  return new Form({
+    login: new StringField(),
+    name: new StringField(),
+    items: new ListField([], false, () => new Form({sku: new StringField()})),
+  })
+}
+
+test('changes since the last assignment to fields are tracked', () => {
+  let form = create_form()
+  form.fields = {login: 'TestUser', name: 'Ivan', items: [{sku: 'A-1'}]}
+  assert.equal(form.is_dirty, false)
+
+  form.name.value = 'Petr'
+  assert.equal(form.is_dirty, true)
+  assert.equal(form.name.is_dirty, true)
+  assert.equal(form.login.is_dirty, false)
+  assert.deepEqual(form.changed_fields, ['name'])
+  assert.deepEqual(form.changed_values, {name: 'Petr'})
+
+  form.name.value = 'Ivan'
+  assert.equal(form.is_dirty, false)
+})
+
+test('reset restores values, rows and removes errors', () => {
+  let form = create_form()
+  form.fields = {login: 'TestUser', name: 'Ivan', items: [{sku: 'A-1'}]}
+
+  form.name.value = ''
+  form.items.push({sku: 'B-2'})
+  form.items.value[0].sku.value = 'C-3'
+  form.errors = {login: 'Taken'}
+  form.check_valid()
+
+  form.reset()
+
+  assert.equal(form.name.value, 'Ivan')
+  assert.deepEqual(form.items.value_clear, [{sku: 'A-1'}])
+  assert.deepEqual(form.login.errors, [])
+  assert.deepEqual(form.name.errors, [])
+  assert.equal(form.is_dirty, false)
+})
+
+test('snapshot makes current values initial', () => {
+  let form = create_form()
+  form.name.value = 'Petr'
+
+  form.snapshot()
+  assert.equal(form.is_dirty, false)
+  assert.deepEqual(form.changed_values, {})
+
+  form.reset()
+  assert.equal(form.name.value, 'Petr')
+})
@@ -0,0 +1,54 @@
+import {afterEach, test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {CRFormData, DRFErrorAdapter, Form, LaravelErrorAdapter, ListField, ProblemJsonErrorAdapter, StringField} from '../index.js'
+
+afterEach(() => CRFormData.set_error_adapter(null))
+
+function create_form() {
+  return new Form({
+    name: new StringField(),
+    items: new ListField([], false, () => new Form({name: new StringField(), phone: new StringField()})),
+  })
+}
+
+function row_errors(form) {
+  return form.items.value.map(row => [row.name.error, row.phone.error])
+}
+
+test('DRF errors are delivered to list rows', () => {
+  let form = create_form()
+  form.fields = {items: [{name: 'a'}, {name: 'b'}]}
+
+  form.set_errors({
+    name: ['Required'],
+    non_field_errors: ['Try again'],
+    items: [{}, {phone: ['Invalid phone']}],
+  }, new DRFErrorAdapter())
+
+  assert.equal(form.name.error, 'Required')
+  assert.deepEqual(row_errors(form), [['', ''], ['', 'Invalid phone']])
+  assert.deepEqual(form.non_field_errors.map(e => e.message), ['Try again'])
+})
+
+test('Laravel and problem+json errors use dotted and bracket paths', () => {
+  let form = create_form()
+  form.fields = {items: [{name: 'a'}]}
+
+  form.set_errors({message: 'The given data was invalid.', errors: {'items.0.name': ['Taken']}}, new LaravelErrorAdapter())
+  assert.deepEqual(row_errors(form), [['Taken', '']])
+
+  form.set_errors({title: 'Bad request', 'invalid-params': [{name: 'items[0].phone', reason: 'Invalid'}]},
+    new ProblemJsonErrorAdapter())
+  assert.equal(form.items.value[0].phone.error, 'Invalid')
+})
+
+test('the default adapter is used for assignments to errors', () => {
+  let form = create_form()
+  CRFormData.set_error_adapter(new DRFErrorAdapter())
+
+  form.errors = {non_field_errors: ['Locked'], name: ['Required']}
+
+  assert.equal(form.name.error, 'Required')
+  assert.deepEqual(form.non_field_errors.map(e => e.message), ['Locked'])
+})
@@ -0,0 +1,31 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {Form, StringField} from '../index.js'
+
+test('client and server errors are kept apart', () => {
+  let form = new Form({login: new StringField('', true, 3)})
+
+  form.login.value = 'ab'
+  form.errors = {login: ['Login is already taken']}
+
+  assert.deepEqual(form.login.errors.map(e => [e.code, e.source]), [['min_length', 'client'], ['server', 'server']])
+  assert.equal(form.login.error, 'Минимум 3 символа | Login is already taken')
+
+  form.login.value = 'abc'
+  assert.deepEqual(form.login.errors.map(e => e.message), ['Login is already taken'])
+
+  form.login.clear_errors('server')
+  assert.deepEqual(form.login.errors, [])
+})
+
+test('assigning to error replaces only the server errors', () => {
+  let field = new StringField('', true, 3)
+  field.value = 'ab'
+
+  field.add_error({code: 'taken', message: 'Taken'})
+  field.add_error('Banned')
+  field.error = 'Reserved'
+
+  assert.deepEqual(field.errors.map(e => e.message), ['Минимум 3 символа', 'Reserved'])
+})
@@ -0,0 +1,15 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {Form, StringField} from '../index.js'
+
+test('form emits error for keys not found in the form', () => {
+  let form = new Form({login: new StringField('')})
+  let events = []
+  form.on('error', (name, errors) => events.push([name, errors]))
+
+  form.errors = {login: 'Taken', captcha: 'Wrong captcha'}
+
+  assert.deepEqual(events.map(([name]) => name), ['login', 'captcha'])
+  assert.equal(events[1][1][0].message, 'Wrong captcha')
+})
@@ -0,0 +1,19 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {FileField, Form} from '../index.js'
+
+test('replacing a file with another one makes the field dirty', () => {
+  let first = new File(['a'], 'a.txt')
+  let form = new Form({document: new FileField(first, false), photos: new FileField([first], false, true)})
+
+  form.document.value = new File(['b'], 'b.txt')
+  form.photos.value = [new File(['b'], 'b.txt')]
+
+  assert.equal(form.document.is_dirty, true)
+  assert.equal(form.photos.is_dirty, true)
+  assert.deepEqual(Object.keys(form.changed_values), ['document', 'photos'])
+
+  form.document.value = first
+  assert.equal(form.document.is_dirty, false)
+})
@@ -0,0 +1,53 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {BankAccountField, BikField, CorrespondentAccountField, InnField, OgrnField, SnilsField} from '../index.js'
+
+function check(field, value) {
+  field.value = value
+  return field.is_valid
+}
+
+test('identifiers are checked by their control numbers', () => {
+  assert.equal(check(new InnField('', true, 'legal'), '7707083893'), true)
+  assert.equal(check(new InnField('', true, 'legal'), '7707083894'), false)
+  assert.equal(check(new InnField('', true, 'individual'), '500100732259'), true)
+  assert.equal(check(new InnField('', true, 'individual'), '7707083893'), false)
+
+  assert.equal(check(new OgrnField('', true, 'legal'), '1027700132195'), true)
+  assert.equal(check(new OgrnField('', true, 'legal'), '1027700132196'), false)
+
+  assert.equal(check(new SnilsField(), '11223344595'), true)
+  assert.equal(check(new SnilsField(), '11223344596'), false)
+})
+
+test('SNILS is formatted with the mask and cleared to digits', () => {
+  let field = new SnilsField()
+  field.value = '11223344595'
+
+  assert.equal(field.value, '112-233-445 95')
+  assert.equal(field.value_clear, '11223344595')
+})
+
+test('accounts are checked against the BIK when it is filled', () => {
+  let bik = new BikField()
+  let account = new BankAccountField(bik)
+  let correspondent = new CorrespondentAccountField(bik)
+
+  assert.equal(check(account, '40702810938000000002'), true)
+
+  bik.value = '044525225'
+  assert.equal(account.is_valid, false)
+  assert.equal(check(account, '40702810938000000001'), true)
+  assert.equal(check(correspondent, '30101810400000000225'), true)
+  assert.equal(check(correspondent, '30101810400000000226'), false)
+})
+
+test('destroy unsubscribes the account from the BIK', () => {
+  let bik = new BikField()
+  let account = new BankAccountField(bik)
+  assert.equal(bik._listeners.change.length, 1)
+
+  account.destroy()
+  assert.equal(bik._listeners.change.length, 0)
+})
@@ -0,0 +1,68 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {DecimalField, EmailField, Form, ListField, NumberField, SelectField, StringField} from '../index.js'
+
+const schema = {
+  type: 'object',
+  required: ['login'],
+  properties: {
+    login: {type: 'string', minLength: 3, maxLength: 20, pattern: '^\\w+$'},
+    email: {type: 'string', format: 'email'},
+    age: {type: 'integer', minimum: 18},
+    role: {enum: ['user', 'admin']},
+    items: {type: 'array', items: {$ref: '#/$defs/item'}},
+  },
+  $defs: {item: {type: 'object', properties: {name: {type: 'string'}}}},
+}
+
+test('fields are created from a JSON Schema', () => {
+  let form = Form.from_json_schema(schema)
+
+  assert.ok(form.login instanceof StringField)
+  assert.equal(form.login.is_required, true)
+  assert.equal(form.login.max_length, 20)
+  assert.ok(form.email instanceof EmailField)
+  assert.equal(form.email.is_required, false)
+  assert.ok(form.age instanceof NumberField)
+  assert.equal(form.age.min, 18)
+  assert.ok(form.role instanceof SelectField)
+  assert.ok(form.items instanceof ListField)
+
+  form.fields = {items: [{name: 'a'}]}
+  assert.deepEqual(form.items.value_clear, [{name: 'a'}])
+})
+
+test('a form is exported to a JSON Schema it can be created from', () => {
+  let exported = Form.from_json_schema(schema).to_json_schema()
+
+  assert.deepEqual(exported.required, ['login'])
+  assert.equal(exported.properties.login.maxLength, 20)
+  assert.equal(exported.properties.age.minimum, 18)
+  assert.deepEqual(Form.from_json_schema(exported).to_json_schema(), exported)
+})
+
+test('numbers are limited only by multipleOf and x-max-digits', () => {
+  let form = Form.from_json_schema({
+    type: 'object',
+    properties: {
+      plain: {type: 'number', maximum: 1e9},
+      price: {type: 'number', multipleOf: 0.01, 'x-max-digits': 6},
+    },
+  })
+
+  assert.ok(form.plain instanceof DecimalField)
+  for (let value of ['123456789', '0.125']) {
+    form.plain.value = value
+    assert.equal(form.plain.is_valid, true, value)
+  }
+  assert.equal(form.plain.value_clear, '0.125')
+  assert.equal('multipleOf' in form.plain.to_json_schema(), false)
+
+  form.price.value = '0.125'
+  assert.equal(form.price.is_valid, false)
+  form.price.value = '12345.6'
+  assert.equal(form.price.is_valid, false)
+  form.price.value = '1234.5'
+  assert.equal(form.price.value_clear, '1234.50')
+})
@@ -0,0 +1,60 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {Form, ListField, MultiSelectField, NestedFormField, SelectObjectField, StringField} from '../index.js'
+
+function create_list() {
+  let list = new ListField([], true, () => new Form({name: new StringField()}))
+  list.value = [{name: 'a'}, {name: 'b'}]
+  return list
+}
+
+test('move and duplicate reject indexes out of range', () => {
+  let list = create_list()
+
+  assert.throws(() => list.move(5, 0), /out of range/)
+  assert.throws(() => list.move(0, 2), /out of range/)
+  assert.throws(() => list.duplicate(3), /out of range/)
+  assert.throws(() => list.insert(-1, {name: 'c'}), /out of range/)
+  assert.equal(list.length, 2)
+
+  list.move(1, 0)
+  list.duplicate(1)
+  assert.deepEqual(list.value_clear, [{name: 'b'}, {name: 'a'}, {name: 'a'}])
+})
+
+test('duplicate copies stored values of the row', () => {
+  let list = new ListField([], true, () => new Form({
+    city: new SelectObjectField({}, true, 'id'),
+    tags: new MultiSelectField([], true, 'id'),
+    name: new StringField().kwargs({output_transforms: [v => `${v}!`]}),
+    address: new NestedFormField(new Form({street: new StringField()})),
+    contacts: new ListField([], false, () => new Form({phone: new StringField()})),
+  }))
+
+  list.value = [{
+    city: {id: 1, name: 'Moscow'},
+    tags: [{id: 1, name: 'a'}],
+    name: 'row',
+    address: {street: 'Main'},
+    contacts: [{phone: '123'}],
+  }]
+  list.duplicate(0)
+
+  let [source, copy] = list.value
+  assert.notEqual(copy, source)
+  assert.deepEqual(copy.city.value, {id: 1, name: 'Moscow'})
+  assert.deepEqual(copy.tags.value, [{id: 1, name: 'a'}])
+  assert.notEqual(copy.tags.value, source.tags.value)
+  assert.equal(copy.name.value_clear, 'row!')
+  assert.equal(copy.address.form.street.value, 'Main')
+  assert.equal(copy.contacts.value[0].phone.value, '123')
+  assert.notEqual(copy.contacts.value[0], source.contacts.value[0])
+})
+
+test('kwargs sets settings of the list and rejects unknown keys', () => {
+  let list = create_list().kwargs({min_items: 1, max_items: 3})
+
+  assert.equal(list.max_items, 3)
+  assert.throws(() => list.kwargs({unknown: 1}), /unknown/)
+})
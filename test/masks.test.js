@@ -0,0 +1,39 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {DateField, DynamicMask, Mask, PhoneField, StringField} from '../index.js'
+
+test('date masks accept only digits', () => {
+  let field = new DateField('', false)
+  field.value = 'ab.cd.2020'
+
+  assert.equal(field.value, '20.20.')
+  field.value = '01022020'
+  assert.equal(field.value, '01.02.2020')
+})
+
+test('masks without tokens keep the characters of the typed syntax as literals', () => {
+  let mask = new Mask('#___ [__]')
+
+  assert.equal(mask.apply('1234'), '#123 [4')
+  assert.equal(mask.unmask('#123 [4'), '1234')
+  assert.equal(new Mask('#___', Mask.tokens).apply('1234'), '1234')
+
+  let field = new StringField().kwargs({mask: 'No. ___'})
+  field.value = '12'
+  assert.equal(field.value, 'No. 12')
+})
+
+test('dynamic masks match prefixes with non-alphanumeric characters', () => {
+  let mask = new DynamicMask({'+7': '+# (###) ###', '': '+######'}, Mask.tokens)
+
+  assert.equal(mask.apply('+7999123'), '+7 (999) 123')
+  assert.equal(mask.apply('+375291'), '+375291')
+})
+
+test('phone masks are chosen by the country code', () => {
+  let phone = new PhoneField()
+  phone.value = '+375291234567'
+
+  assert.equal(phone.value, '+375 (29) 123-45-67')
+})
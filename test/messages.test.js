@@ -0,0 +1,42 @@
+import {afterEach, test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {CRFormData, StringField} from '../index.js'
+
+afterEach(() => CRFormData.set_locale(CRFormData.default_locale))
+
+test('errors are rendered in the current locale with plural forms', () => {
+  let field = new StringField('', true, 3)
+
+  field.value = 'ab'
+  assert.equal(field.error, 'Минимум 3 символа')
+
+  field.min_length = 5
+  field.value = 'abcd'
+  assert.equal(field.error, 'Минимум 5 символов')
+
+  CRFormData.set_locale('en')
+  assert.equal(field.error, 'Minimum 5 characters')
+  assert.deepEqual(field.errors.map(e => [e.code, e.params]), [['min_length', {min_length: 5}]])
+})
+
+test('added catalogs fall back to the default locale', () => {
+  CRFormData.add_messages('kk', {
+    min_length: {plural: 'min_length', one: 'Кемінде {min_length} таңба', other: 'Кемінде {min_length} таңба'},
+  })
+  CRFormData.set_locale('kk')
+
+  let field = new StringField('', true, 3)
+  field.value = 'ab'
+
+  assert.equal(field.error, 'Кемінде 3 таңба')
+  assert.equal(CRFormData.message('select_required'), 'Необходимо выбрать значение')
+  assert.equal(CRFormData.message('unknown_code'), 'unknown_code')
+})
+
+test('built-in catalogs have the same codes', () => {
+  let {ru, en} = CRFormData.default_messages
+
+  assert.deepEqual(Object.keys(ru).sort(), Object.keys(en).sort())
+  assert.deepEqual(Object.keys(ru.examples).sort(), Object.keys(en.examples).sort())
+})
@@ -0,0 +1,32 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {MultiSelectField} from '../index.js'
+
+function check(field, value) {
+  field.value = value
+  return field.errors.map(e => e.code)
+}
+
+test('selected objects are returned as ids', () => {
+  let field = new MultiSelectField([], false, 'id')
+
+  field.value = [{id: 1, name: 'read'}, {id: 2, name: 'write'}]
+  assert.deepEqual(field.value_clear, [1, 2])
+  assert.equal(field.is_selected({id: 2}), true)
+
+  field.toggle({id: 1})
+  assert.deepEqual(field.value_clear, [2])
+  field.toggle({id: 3})
+  assert.deepEqual(field.value_clear, [2, 3])
+})
+
+test('count, duplicates and options are checked', () => {
+  let tags = () => new MultiSelectField([], true, '', ['news', 'sport', 'music'])
+
+  assert.deepEqual(check(tags().kwargs({max_selected: 2}), ['news', 'sport', 'music']), ['max_selected'])
+  assert.deepEqual(check(tags().kwargs({min_selected: 2}), ['news']), ['min_selected'])
+  assert.deepEqual(check(tags(), ['news', 'other']), ['one_of'])
+  assert.deepEqual(check(tags(), []), ['select_required'])
+  assert.deepEqual(check(new MultiSelectField([], true, 'id'), [{id: 1, name: 'a'}, {id: 1, name: 'b'}]), ['duplicates'])
+})
@@ -0,0 +1,40 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {Form, ListField, NestedFormField, StringField} from '../index.js'
+
+function create_form(address_is_required = true) {
+  return new Form({
+    name: new StringField('', false),
+    address: new NestedFormField(new Form({city: new StringField(), street: new StringField()}), address_is_required),
+    contacts: new ListField([new Form({phone: new StringField()})]),
+  })
+}
+
+test('nested forms add their values and are validated with the form', () => {
+  let form = create_form()
+  form.fields = {address: {city: 'Moscow', street: 'Tverskaya'}}
+
+  assert.equal(form.address.form.city.value, 'Moscow')
+  assert.deepEqual(form.value_fields.address, {city: 'Moscow', street: 'Tverskaya'})
+
+  form.address.form.street.value = ''
+  assert.equal(form.check_valid(), false)
+})
+
+test('errors are routed to fields at any depth', () => {
+  let form = create_form()
+
+  form.errors = {'address.city': ['Unknown city'], 'contacts.0.phone': ['Invalid phone'], 'contacts.5.phone': ['Lost']}
+
+  assert.equal(form.address.form.city.error, 'Unknown city')
+  assert.equal(form.contacts.value[0].phone.error, 'Invalid phone')
+  assert.deepEqual(Object.keys(form.errors).sort(), ['address.city', 'contacts.0.phone', 'contacts.5.phone'])
+})
+
+test('optional nested form with empty values is not validated', () => {
+  let form = create_form(false)
+  form.contacts.value[0].phone.value = '123'
+
+  assert.equal(form.check_valid(), true)
+})
@@ -0,0 +1,18 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {CidrField} from '../index.js'
+
+test('CIDR prefix has no leading zeros and stays in range', () => {
+  let field = new CidrField()
+
+  for (let [value, is_valid] of [
+    ['10.0.0.0/24', true], ['0.0.0.0/0', true], ['10.0.0.0/32', true],
+    ['10.0.0.0/024', false], ['10.0.0.0/00', false], ['10.0.0.0/33', false],
+    ['2001:db8::/32', true], ['2001:db8::/128', true], ['::/0', true],
+    ['2001:db8::/032', false], ['2001:db8::/129', false],
+  ]) {
+    field.value = value
+    assert.equal(field.is_valid, is_valid, value)
+  }
+})
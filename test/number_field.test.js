@@ -0,0 +1,35 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {DecimalField, NumberField} from '../index.js'
+
+function check(field, value) {
+  field.value = value
+  return field.errors.map(e => e.code)
+}
+
+test('both bounds are checked, zero and negative bounds included', () => {
+  let field = new NumberField().kwargs({min: 0, max: 10})
+
+  assert.deepEqual(check(field, -1), ['min'])
+  assert.deepEqual(check(field, 11), ['max'])
+  assert.deepEqual(check(field, '0'), [])
+  assert.deepEqual(check(new NumberField().kwargs({min: -10, max: -5}), '-7'), [])
+})
+
+test('exclusive bounds and step', () => {
+  assert.deepEqual(check(new NumberField().kwargs({min: 0, exclusive_min: true}), 0), ['min_exclusive'])
+  assert.deepEqual(check(new NumberField().kwargs({max: 10, exclusive_max: true}), 10), ['max_exclusive'])
+  assert.deepEqual(check(new NumberField().kwargs({step: 5}), 12), ['step'])
+  assert.deepEqual(check(new NumberField().kwargs({step: 5, min: 1}), 6), [])
+  assert.deepEqual(check(new DecimalField().kwargs({step: 0.25}), '0.75'), [])
+  assert.deepEqual(check(new DecimalField().kwargs({step: 0.25}), '0.8'), ['step'])
+})
+
+test('value_clear of NumberField is a number', () => {
+  let field = new NumberField()
+
+  field.value = '-5'
+  assert.equal(field.value_clear, -5)
+  assert.deepEqual(check(field, '1.5'), ['example'])
+})
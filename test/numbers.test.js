@@ -0,0 +1,62 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {CRFormData, DecimalField, NumberField} from '../index.js'
+
+test('non-finite numbers are invalid with and without bounds', () => {
+  for (let value of [NaN, Infinity, -Infinity]) {
+    for (let field of [new NumberField(null, true, 0, 10), new NumberField()]) {
+      field.value = value
+      assert.equal(field.is_valid, false)
+      assert.equal(field.errors[0].code, 'not_finite')
+    }
+  }
+})
+
+test('misplaced group separators are rejected', () => {
+  let field = new DecimalField().kwargs({locale: 'en'})
+
+  field.value = '1,5'
+  assert.equal(field.is_valid, false)
+
+  field.value = '12,34.5'
+  assert.equal(field.is_valid, false)
+
+  field.value = '1,234'
+  assert.equal(field.is_valid, true)
+  assert.equal(field.value_clear, '1234.00')
+})
+
+test('value_clear is not rounded without rounding', () => {
+  let field = new DecimalField()
+  field.value = '1.235'
+
+  assert.equal(field.is_valid, false)
+  assert.equal(field.value_clear, '1.235')
+
+  field.rounding = 'half_up'
+  assert.equal(field.value_clear, '1.24')
+})
+
+test('value keeps its type, display_value is localized', () => {
+  CRFormData.set_locale('ru')
+  let field = new DecimalField(null, true, null, null, 2, 10)
+
+  field.value = '1234'
+  assert.equal(field.value, 1234)
+
+  field.value = '1 234,5'
+  assert.equal(field.value, '1234.5')
+  assert.equal(field.display_value, '1 234,5')
+})
+
+test('value keeps all digits of long integers', () => {
+  let field = new DecimalField().kwargs({max_digits: 25})
+
+  field.value = '12345678901234567890'
+  assert.equal(field.value, '12345678901234567890')
+  assert.equal(field.value_clear, '12345678901234567890.00')
+
+  field.value = '123'
+  assert.equal(field.value, 123)
+})
@@ -0,0 +1,45 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {PasswordConfirmationField, PasswordField} from '../index.js'
+
+test('common passwords are found with trailing digits and symbols in any alphabet', () => {
+  let field = new PasswordField().kwargs({forbid_common: true})
+
+  for (let password of ['пароль1', 'пароль!2', 'password123']) {
+    field.value = password
+    assert.equal(field.is_valid, false, password)
+  }
+
+  field.value = 'пароль-мой-длинный'
+  assert.equal(field.is_valid, true)
+})
+
+test('zero max_repeats and max_sequence disable the checks', () => {
+  let field = new PasswordField().kwargs({max_repeats: 0, max_sequence: 0})
+
+  field.value = 'horse battery staple'
+  assert.equal(field.is_valid, true)
+
+  field.kwargs({max_repeats: 2})
+  field.value = 'aaa battery staple'
+  assert.equal(field.is_valid, false)
+})
+
+test('confirmation is validated again when the password changes', () => {
+  let password = new PasswordField()
+  let confirmation = new PasswordConfirmationField(password)
+
+  password.value = 'horse battery'
+  confirmation.value = 'horse battery'
+  assert.equal(confirmation.is_valid, true)
+
+  password.value = 'horse battery staple'
+  assert.equal(confirmation.is_valid, false)
+
+  confirmation.destroy()
+  assert.equal((password._listeners.change || []).length, 0)
+
+  password.value = 'horse battery'
+  assert.equal(confirmation.is_valid, false)
+})
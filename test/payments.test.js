@@ -0,0 +1,46 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {CardNumberField, CvcField, IbanField, MoneyField} from '../index.js'
+
+test('Russian IBANs must have 33 characters', () => {
+  let field = new IbanField()
+
+  field.value = 'RU0304452522540817810538091310419'
+  assert.equal(field.is_valid, true)
+
+  field.value = 'RU750445252254081781053809131041'
+  assert.equal(field.is_valid, false)
+})
+
+test('currency errors are added to the amount error', () => {
+  let field = new MoneyField().kwargs({min: 10})
+
+  field.value = {amount: '5', currency: 'XXXX'}
+  assert.equal(field.is_valid, false)
+  assert.equal(field.errors.length, 2)
+
+  field.value = {amount: '5', currency: 'XXXX'}
+  assert.equal(field.errors.length, 2)
+
+  field.value = {amount: '50', currency: 'XXXX'}
+  assert.equal(field.errors.length, 1)
+
+  field.value = {amount: '50', currency: 'RUB'}
+  assert.equal(field.is_valid, true)
+  assert.equal(field.errors.length, 0)
+})
+
+test('CVC length follows the card brand until destroy()', () => {
+  let card = new CardNumberField()
+  let cvc = new CvcField(card)
+
+  cvc.value = '1234'
+  assert.equal(cvc.is_valid, true)
+
+  card.value = '4111111111111111'
+  assert.equal(cvc.is_valid, false)
+
+  cvc.destroy()
+  assert.equal(card._listeners.change.length, 0)
+})
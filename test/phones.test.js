@@ -0,0 +1,32 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {PhoneField} from '../index.js'
+
+function phone(value, kwargs = {}) {
+  let field = new PhoneField().kwargs({default_country: 'RU', ...kwargs})
+  field.value = value
+  return field
+}
+
+test('national numbers are formatted and returned in E.164', () => {
+  let field = phone('8 999 123 45 67')
+
+  assert.equal(field.value, '+7 (999) 123-45-67')
+  assert.equal(field.value_clear, '+79991234567')
+  assert.equal(field.country, 'RU')
+  assert.equal(field.is_valid, true)
+
+  assert.equal(phone('+375291234567').value, '+375 (29) 123-45-67')
+  assert.equal(phone('+77011234567').country, 'KZ')
+})
+
+test('lengths, prefixes and allowed countries are checked', () => {
+  assert.equal(phone('+7 123').is_valid, false)
+  assert.equal(phone('+7999123456').is_valid, false)
+  assert.equal(phone('+71991234567').is_valid, false)
+
+  let foreign = phone('+4915112345678', {allowed_countries: ['RU', 'KZ', 'BY']})
+  assert.equal(foreign.is_valid, false)
+  assert.equal(foreign.errors[0].code, 'phone_country_not_allowed')
+})
@@ -0,0 +1,44 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {Form, FormRule, NumberField, SelectObjectField, StringField} from '../index.js'
+
+test('rules attach errors to their fields and the form', () => {
+  let form = new Form({
+    password: new StringField('secret1'),
+    password_confirm: new StringField('secret2'),
+    email: new StringField('', false),
+    phone: new StringField('', false),
+  })
+    .add_rule(FormRule.equal_to('password_confirm', 'password'))
+    .add_rule(FormRule.required_unless('phone', 'email'))
+    .add_rule(values => values.email ? null : 'Something is wrong')
+
+  assert.equal(form.check_valid(), false)
+  assert.equal(form.password_confirm.errors[0].code, 'equal_to')
+  assert.equal(form.phone.errors[0].code, 'required')
+  assert.deepEqual(form.non_field_errors.map(e => e.message), ['Something is wrong'])
+
+  form.password_confirm.value = 'secret1'
+  form.email.value = 'user@example.com'
+
+  assert.equal(form.check_valid(), true)
+  assert.deepEqual(form.non_field_errors, [])
+})
+
+test('greater_than_field is not checked while a field is empty', () => {
+  let form = new Form({min: new NumberField(5), max: new NumberField(null, false)})
+    .add_rule(FormRule.greater_than_field('max', 'min'))
+
+  assert.equal(form.check_valid(), true)
+
+  form.max.value = 3
+  assert.equal(form.check_valid(), false)
+})
+
+test('check_valid does not read values of empty object selects', () => {
+  let fields = () => ({s: new SelectObjectField({}, true, 'id'), n: new StringField('x')})
+
+  assert.equal(new Form(fields()).check_valid(), false)
+  assert.equal(new Form(fields()).add_rule(FormRule.required_if('n', 's')).check_valid(), false)
+})
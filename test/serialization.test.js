@@ -0,0 +1,56 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {DateRangeField, Form, ListField, LoginField, MoneyField, StringField} from '../index.js'
+
+test('set_query does not pollute prototypes', () => {
+  let form = new Form({q: new StringField('', false)})
+
+  form.set_query('__proto__[polluted]=yes&constructor[prototype][x]=1&a[__proto__][b]=2&q=cats')
+
+  assert.equal(({}).polluted, undefined)
+  assert.equal(({}).x, undefined)
+  assert.equal(({}).b, undefined)
+  assert.equal(form.q.value, 'cats')
+})
+
+test('set_query skips lists without a row factory', () => {
+  let form = new Form({q: new StringField('', false), items: new ListField([], false)})
+
+  assert.doesNotThrow(() => form.set_query('items[0][name]=a&q=cats'))
+  assert.equal(form.items.length, 0)
+  assert.equal(form.q.value, 'cats')
+})
+
+test('to_form_data accepts the serialize options', () => {
+  let form = new Form({tags: new StringField('', false)})
+  form.tags.value = 'a'
+
+  assert.deepEqual([...form.to_form_data({array_format: 'brackets'}).entries()], [['tags', 'a']])
+})
+
+test('set_query skips values of a shape the field cannot take', () => {
+  let form = new Form({a: 'x', login: new LoginField('', false)})
+
+  assert.doesNotThrow(() => form.set_query('a=1&a[b]=2'))
+  assert.equal(form.a, 'x')
+
+  assert.doesNotThrow(() => form.set_query('login[x]=1'))
+  assert.equal(form.login.value, '')
+
+  form.set_query('a=y&login=admin')
+  assert.equal(form.a, 'y')
+  assert.equal(form.login.value, 'admin')
+})
+
+test('set_query keeps object values of money and date ranges', () => {
+  let form = new Form({price: new MoneyField(null, false, 'USD'), period: new DateRangeField('', false)})
+
+  form.set_query('price[amount]=5&price[currency]=EUR&period[start]=2024-01-01&period[end]=2024-01-05')
+  assert.equal(form.price.currency, 'EUR')
+  assert.equal(form.price.value, 5)
+  assert.deepEqual(form.period.value_clear, {start: '2024-01-01', end: '2024-01-05'})
+
+  assert.doesNotThrow(() => form.set_query('price[amount][x]=1&price[currency][y]=2'))
+  assert.equal(form.price.currency, 'EUR')
+})
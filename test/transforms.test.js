@@ -0,0 +1,29 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {DateField, DecimalField, PhoneField, SelectObjectField, TimeField} from '../index.js'
+
+test('input transforms run before the field parses the value', () => {
+  let phone = new PhoneField().kwargs({default_country: 'RU', input_transforms: [v => v.replace(/^tel:/, '')]})
+  phone.value = 'tel:89161234567'
+  assert.equal(phone.value_clear, '+79161234567')
+
+  let date = new DateField().kwargs({input_transforms: ['trim']})
+  date.value = ' 2024-03-05 '
+  assert.equal(date.value, '05.03.2024')
+
+  let time = new TimeField().kwargs({input_transforms: ['trim']})
+  time.value = ' 25:70'
+  assert.equal(time.value, '23:59')
+
+  let decimal = new DecimalField().kwargs({input_transforms: [v => v.replace('$', '')]})
+  decimal.value = '$1.5'
+  assert.equal(decimal.value_clear, '1.50')
+})
+
+test('input transforms apply to SelectObjectField', () => {
+  let field = new SelectObjectField({}, true, 'id').kwargs({input_transforms: [v => ({...v, id: Number(v.id)})]})
+
+  field.value = {id: '3', name: 'Three'}
+  assert.deepEqual(field.value, {id: 3, name: 'Three'})
+})
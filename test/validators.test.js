@@ -0,0 +1,42 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+
+import {FieldRule, NumberField, StringField} from '../index.js'
+
+test('validators run in order and stop at the first error', () => {
+  let login = new StringField('', true)
+    .add_validator(FieldRule.not_one_of(['admin', 'root']))
+    .add_validator(FieldRule.min_length(4), {message: 'Too short'})
+    .add_validator(value => !/^\d/.test(value) || 'Must not start with a digit')
+
+  login.value = 'root'
+  assert.deepEqual(login.errors.map(e => e.code), ['not_one_of'])
+
+  login.value = '1ab'
+  assert.deepEqual(login.errors.map(e => e.message), ['Too short'])
+
+  login.value = '1abc'
+  assert.deepEqual(login.errors.map(e => e.message), ['Must not start with a digit'])
+
+  login.value = 'user'
+  assert.equal(login.is_valid, true)
+})
+
+test('all errors are collected without stop_on_first_error', () => {
+  let age = new NumberField().kwargs({stop_on_first_error: false})
+    .add_validator(FieldRule.between(18, 99))
+    .add_validator(FieldRule.custom(value => value % 2 === 0, {code: 'even'}))
+
+  age.value = 101
+  assert.deepEqual(age.errors.map(e => e.code), ['between', 'even'])
+})
+
+test('empty values are not checked by validators', () => {
+  let field = new StringField('', false).add_validator(FieldRule.pattern(/^\d+$/))
+
+  field.value = ''
+  assert.equal(field.is_valid, true)
+
+  field.value = 'abc'
+  assert.equal(field.is_valid, false)
+})